@@ -143,7 +143,8 @@ describe('End-to-End Integration Tests', () => {
           deleteText: jest.fn(),
           insertText: jest.fn()
         })),
-        setIndentStart: jest.fn()
+        setIndentStart: jest.fn(),
+        setNestingLevel: jest.fn()
       }))
     };
 
@@ -161,7 +162,9 @@ describe('End-to-End Integration Tests', () => {
     // Mock date formatting
     Utilities.formatDate.mockImplementation((date, timezone, format) => {
       const d = new Date(date);
-      if (format.includes('h:mm a')) {
+      if (format === 'yyyy-MM-dd') {
+        return d.toLocaleDateString('en-CA', { timeZone: timezone });
+      } else if (format.includes('h:mm a')) {
         return 'Jan 15, 2024 at 5:00 PM';
       } else if (format.includes('MMM d, yyyy')) {
         return 'Jan 15, 2024';
@@ -176,9 +179,14 @@ describe('End-to-End Integration Tests', () => {
     // Mock Todoist API responses
     UrlFetchApp.fetch.mockImplementation((url, params) => {
       if (url.includes('/tasks') && !url.includes('parent_id')) {
-        // Main tasks endpoint
+        // Main tasks endpoint returns every active task, sub-tasks included
+        const subtasks = mockTodoistData.tasks[0].subtasks.map(subtask => ({
+          ...subtask,
+          parent_id: '2995104339',
+          project_id: '2203306141'
+        }));
         return {
-          getContentText: () => JSON.stringify(mockTodoistData.rawTasks),
+          getContentText: () => JSON.stringify(mockTodoistData.rawTasks.concat(subtasks)),
           getResponseCode: () => 200
         };
       } else if (url.includes('/tasks?parent_id=2995104339')) {
@@ -318,14 +326,15 @@ describe('End-to-End Integration Tests', () => {
       expect(parsedJson.exportMetadata.timezone).toBe('America/Chicago');
       expect(parsedJson.exportMetadata.apiVersion).toBe('v2');
 
-      // Verify statistics
-      expect(parsedJson.statistics.tasks.total).toBe(3);
-      expect(parsedJson.statistics.tasks.withLabels).toBe(2);
+      // Verify statistics (the sub-task "Gather Q4 data" is due in the window too)
+      expect(parsedJson.statistics.tasks.total).toBe(4);
+      expect(parsedJson.statistics.tasks.withLabels).toBe(3);
       expect(parsedJson.statistics.tasks.byPriority.p1).toBe(1);
-      expect(parsedJson.statistics.tasks.byPriority.p3).toBe(1);
+      expect(parsedJson.statistics.tasks.byPriority.p3).toBe(2);
 
-      // Verify raw data preservation
-      expect(parsedJson.data.tasks).toEqual(mockTodoistData.rawTasks);
+      // Verify raw data preservation, including the sub-task due in the window
+      expect(parsedJson.data.tasks.slice(0, 3)).toEqual(mockTodoistData.rawTasks);
+      expect(parsedJson.data.tasks[3]).toMatchObject({ id: '2995104340', parent_id: '2995104339' });
       expect(parsedJson.data.projects).toEqual(mockTodoistData.projects);
 
       // Verify success logging
@@ -335,9 +344,8 @@ describe('End-to-End Integration Tests', () => {
     test('should optimize API calls for multi-target sync', () => {
       syncTodoist();
 
-      // Should make API calls for tasks, projects, and subtasks
-      // Tasks call + projects call + 3 subtask calls = 5 total
-      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(5);
+      // Sub-tasks are built from the task list, so only tasks + projects are fetched
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
 
       // Verify all files were updated
       expect(DocumentApp.openById).toHaveBeenCalledWith('1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
@@ -484,7 +492,7 @@ describe('End-to-End Integration Tests', () => {
 
       // Should log debug information via console.log
       expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining('FETCH SUBTASKS DEBUG')
+        expect.stringContaining('ATTACH SUBTASKS DEBUG')
       );
     });
 
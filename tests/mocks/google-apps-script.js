@@ -3,6 +3,8 @@
  * These mocks allow testing of GAS functions in a Node.js environment with stateful behavior
  */
 
+const crypto = require('crypto');
+
 // Import test data
 const { testData, apiResponses, configurations } = require('../fixtures/test-data');
 
@@ -16,7 +18,10 @@ const mockState = {
   files: {},
   apiCallCount: 0,
   errors: {},
-  logs: []
+  logs: [],
+  cache: {},
+  triggers: [],
+  spreadsheets: {}
 };
 
 // Mock Logger with enhanced functionality
@@ -126,15 +131,24 @@ global.UrlFetchApp = {
       responseData = 'invalid json {';
     }
     
-    // Handle HTTP error codes
+    // Handle HTTP error codes (limited to the first httpErrorTimes calls when set)
+    const headers = {};
     if (mockState.errors.httpError) {
-      responseCode = mockState.errors.httpError;
-      responseData = JSON.stringify({ error: 'API Error' });
+      const transient = typeof mockState.errors.httpErrorTimes === 'number';
+      if (!transient || mockState.errors.httpErrorTimes > 0) {
+        responseCode = mockState.errors.httpError;
+        responseData = JSON.stringify({ error: 'API Error' });
+        if (mockState.errors.retryAfter !== undefined) {
+          headers['Retry-After'] = String(mockState.errors.retryAfter);
+        }
+        if (transient) mockState.errors.httpErrorTimes--;
+      }
     }
     
     return {
       getContentText: jest.fn(() => responseData),
-      getResponseCode: jest.fn(() => responseCode)
+      getResponseCode: jest.fn(() => responseCode),
+      getHeaders: jest.fn(() => headers)
     };
   }),
   
@@ -199,6 +213,7 @@ global.DocumentApp = {
           const listItem = {
             text: text || '',
             indentStart: 0,
+            nestingLevel: 0,
             textElements: []
           };
           doc.listItems.push(listItem);
@@ -228,6 +243,9 @@ global.DocumentApp = {
             setIndentStart: jest.fn((indent) => {
               listItem.indentStart = indent;
             }),
+            setNestingLevel: jest.fn((level) => {
+              listItem.nestingLevel = level;
+            }),
             getText: jest.fn(() => listItem.text)
           };
         })
@@ -238,7 +256,8 @@ global.DocumentApp = {
   ParagraphHeading: {
     HEADING1: 'HEADING1',
     HEADING2: 'HEADING2',
-    HEADING3: 'HEADING3'
+    HEADING3: 'HEADING3',
+    HEADING4: 'HEADING4'
   },
   
   // Test utilities
@@ -295,6 +314,158 @@ global.DriveApp = {
   }
 };
 
+// SpreadsheetApp with tab state tracking: cell values and formats, filter, frozen rows
+// and conditional format rules per tab
+global.SpreadsheetApp = {
+  openById: jest.fn((id) => {
+    if (mockState.errors.spreadsheetError) {
+      throw new Error(mockState.errors.spreadsheetError);
+    }
+    if (!mockState.spreadsheets[id]) {
+      mockState.spreadsheets[id] = { sheets: {} };
+    }
+    const spreadsheet = mockState.spreadsheets[id];
+
+    const createSheet = (name) => {
+      const state = { name, cells: {}, formats: {}, bold: {}, filter: null, frozenRows: 0, conditionalFormatRules: [] };
+      spreadsheet.sheets[name] = state;
+      return state;
+    };
+
+    const wrapSheet = (state) => {
+      const forEachCell = (row, column, numRows, numColumns, callback) => {
+        for (let r = 0; r < numRows; r++) {
+          for (let c = 0; c < numColumns; c++) callback((row + r) + ':' + (column + c), r, c);
+        }
+      };
+
+      return {
+        getName: jest.fn(() => state.name),
+        clear: jest.fn(() => {
+          state.cells = {};
+          state.formats = {};
+          state.bold = {};
+        }),
+        getFilter: jest.fn(() => state.filter && { remove: jest.fn(() => { state.filter = null; }) }),
+        clearConditionalFormatRules: jest.fn(() => { state.conditionalFormatRules = []; }),
+        setConditionalFormatRules: jest.fn((rules) => { state.conditionalFormatRules = rules; }),
+        setFrozenRows: jest.fn((rows) => { state.frozenRows = rows; }),
+        getRange: jest.fn((row, column, numRows = 1, numColumns = 1) => ({
+          row, column, numRows, numColumns,
+          setValues: jest.fn((values) => {
+            if (values.length !== numRows || values.some(rowValues => rowValues.length !== numColumns)) {
+              throw new Error('The number of rows or columns in the data does not match the range.');
+            }
+            forEachCell(row, column, numRows, numColumns, (key, r, c) => { state.cells[key] = values[r][c]; });
+          }),
+          setNumberFormat: jest.fn((format) => {
+            forEachCell(row, column, numRows, numColumns, (key) => { state.formats[key] = format; });
+          }),
+          setFontWeight: jest.fn((weight) => {
+            forEachCell(row, column, numRows, numColumns, (key) => { state.bold[key] = weight === 'bold'; });
+          }),
+          createFilter: jest.fn(() => {
+            if (state.filter) throw new Error('You can\'t create a filter in a sheet that already has a filter.');
+            state.filter = { row, column, numRows, numColumns };
+          })
+        }))
+      };
+    };
+
+    return {
+      getId: jest.fn(() => id),
+      getSheetByName: jest.fn((name) => (spreadsheet.sheets[name] ? wrapSheet(spreadsheet.sheets[name]) : null)),
+      insertSheet: jest.fn((name) => wrapSheet(createSheet(name)))
+    };
+  }),
+
+  newConditionalFormatRule: jest.fn(() => {
+    const rule = {};
+    const builder = {
+      whenFormulaSatisfied: jest.fn((formula) => { rule.formula = formula; return builder; }),
+      setBackground: jest.fn((color) => { rule.background = color; return builder; }),
+      setRanges: jest.fn((ranges) => { rule.ranges = ranges; return builder; }),
+      build: jest.fn(() => rule)
+    };
+    return builder;
+  }),
+
+  // Test utilities
+  getSpreadsheetState: (id) => mockState.spreadsheets[id] || null,
+  // Values of a tab as rows, from A1 to the last written cell
+  getSheetValues: (id, name) => {
+    const sheet = mockState.spreadsheets[id] && mockState.spreadsheets[id].sheets[name];
+    if (!sheet) return null;
+    const keys = Object.keys(sheet.cells).map(key => key.split(':').map(Number));
+    const numRows = Math.max(0, ...keys.map(key => key[0]));
+    const numColumns = Math.max(0, ...keys.map(key => key[1]));
+    return Array.from({ length: numRows }, (_, r) => Array.from({ length: numColumns }, (_, c) => {
+      const key = (r + 1) + ':' + (c + 1);
+      return key in sheet.cells ? sheet.cells[key] : '';
+    }));
+  },
+  injectSpreadsheetError: (error) => {
+    mockState.errors.spreadsheetError = error;
+  }
+};
+
+// CacheService with an in-memory script cache (TTLs are recorded, not enforced)
+global.CacheService = {
+  getScriptCache: jest.fn(() => ({
+    get: jest.fn((key) => (key in mockState.cache ? mockState.cache[key].value : null)),
+    getAll: jest.fn((keys) => {
+      const values = {};
+      keys.forEach(key => {
+        if (key in mockState.cache) values[key] = mockState.cache[key].value;
+      });
+      return values;
+    }),
+    put: jest.fn((key, value, ttl) => {
+      mockState.cache[key] = { value: String(value), ttl };
+    }),
+    putAll: jest.fn((values, ttl) => {
+      Object.keys(values).forEach(key => {
+        mockState.cache[key] = { value: String(values[key]), ttl };
+      });
+    }),
+    remove: jest.fn((key) => { delete mockState.cache[key]; }),
+    removeAll: jest.fn((keys) => keys.forEach(key => { delete mockState.cache[key]; }))
+  })),
+
+  // Test utilities
+  getMockCache: () => ({ ...mockState.cache }),
+  clearMockCache: () => { mockState.cache = {}; }
+};
+
+// ScriptApp with trigger state tracking (only time-based triggers are modeled)
+global.ScriptApp = {
+  newTrigger: jest.fn((handlerFunction) => {
+    const options = {};
+    const builder = {
+      timeBased: jest.fn(() => builder),
+      after: jest.fn((ms) => { options.after = ms; return builder; }),
+      create: jest.fn(() => {
+        const id = 'trigger-' + (mockState.triggers.length + 1) + '-' + handlerFunction;
+        const trigger = {
+          getHandlerFunction: () => handlerFunction,
+          getUniqueId: () => id,
+          afterMs: options.after
+        };
+        mockState.triggers.push(trigger);
+        return trigger;
+      })
+    };
+    return builder;
+  }),
+  getProjectTriggers: jest.fn(() => [...mockState.triggers]),
+  deleteTrigger: jest.fn((trigger) => {
+    mockState.triggers = mockState.triggers.filter(t => t.getUniqueId() !== trigger.getUniqueId());
+  }),
+
+  // Test utilities
+  getMockTriggers: () => [...mockState.triggers]
+};
+
 // Enhanced Utilities with realistic date formatting
 global.Utilities = {
   formatDate: jest.fn((date, timezone, format) => {
@@ -302,7 +473,24 @@ global.Utilities = {
       const d = new Date(date);
       
       // Handle different format patterns
-      if (format.includes("MMM d, yyyy 'at' h:mm a")) {
+      if (format === 'Z' || /^yyyyMMdd('T'HHmmss('Z')?)?$/.test(format)) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone, hourCycle: 'h23',
+          year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(d).forEach(part => { parts[part.type] = part.value; });
+        if (format === 'Z') {
+          const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+          const minutes = Math.round((wallClock - Math.floor(d.getTime() / 1000) * 1000) / 60000);
+          const abs = Math.abs(minutes);
+          return (minutes < 0 ? '-' : '+') + String(Math.floor(abs / 60)).padStart(2, '0') + String(abs % 60).padStart(2, '0');
+        }
+        return format.replace(/'T'/, 'T').replace(/'Z'/, 'Z')
+          .replace('yyyy', parts.year).replace('MM', parts.month).replace('dd', parts.day)
+          .replace('HH', parts.hour).replace('mm', parts.minute).replace('ss', parts.second);
+      } else if (format === 'yyyy-MM-dd') {
+        return d.toLocaleDateString('en-CA', { timeZone: timezone });
+      } else if (format.includes("MMM d, yyyy 'at' h:mm a")) {
         return d.toLocaleString('en-US', {
           month: 'short',
           day: 'numeric',
@@ -312,6 +500,13 @@ global.Utilities = {
           hour12: true,
           timeZone: timezone
         });
+      } else if (format === 'h:mm a') {
+        return d.toLocaleTimeString('en-US', {
+          hour: 'numeric',
+          minute: '2-digit',
+          hour12: true,
+          timeZone: timezone
+        });
       } else if (format.includes('MMM d, yyyy')) {
         return d.toLocaleDateString('en-US', {
           month: 'short',
@@ -334,6 +529,16 @@ global.Utilities = {
     }
   }),
   
+  // Apps Script pauses here; tests only record the requested delay
+  sleep: jest.fn(),
+
+  DigestAlgorithm: { SHA_256: 'sha256' },
+
+  // Apps Script returns signed bytes; a Buffer is close enough for hashing and encoding
+  computeDigest: jest.fn((algorithm, value) => crypto.createHash(algorithm).update(String(value), 'utf8').digest()),
+
+  base64EncodeWebSafe: jest.fn((data) => Buffer.from(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_')),
+  
   // Test utilities
   resetFormatDateMock: () => {
     global.Utilities.formatDate.mockClear();
@@ -354,6 +559,9 @@ global.MockUtils = {
     mockState.errors = {};
     mockState.logs = [];
     mockState.debugLogs = [];
+    mockState.cache = {};
+    mockState.triggers = [];
+    mockState.spreadsheets = {};
     mockState.testTasks = null;
     mockState.testProjects = null;
     
@@ -393,8 +601,11 @@ module.exports = {
   Logger: global.Logger,
   PropertiesService: global.PropertiesService,
   UrlFetchApp: global.UrlFetchApp,
+  CacheService: global.CacheService,
+  ScriptApp: global.ScriptApp,
   DocumentApp: global.DocumentApp,
   DriveApp: global.DriveApp,
+  SpreadsheetApp: global.SpreadsheetApp,
   Utilities: global.Utilities,
   MockUtils: global.MockUtils
 };
\ No newline at end of file
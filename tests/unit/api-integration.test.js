@@ -51,10 +51,6 @@ describe('API Integration', () => {
           getContentText: () => JSON.stringify(mockTasks),
           getResponseCode: () => 200
         })
-        .mockReturnValueOnce({
-          getContentText: () => JSON.stringify([]), // subtasks response
-          getResponseCode: () => 200
-        })
         .mockReturnValueOnce({
           getContentText: () => JSON.stringify(mockProjects),
           getResponseCode: () => 200
@@ -70,6 +66,80 @@ describe('API Integration', () => {
       expect(result.tasks[0]).toHaveProperty('subtasks');
     });
 
+    test('should build sub-tasks from the task list without extra requests', () => {
+      const mockTasks = [
+        { id: '1', content: 'Parent', due: { date: '2024-01-15' } },
+        { id: '2', content: 'Child without due date', parent_id: '1' },
+        { id: '3', content: 'Child due in window', parent_id: '1', due: { date: '2024-01-15' } },
+        { id: '4', content: 'Unrelated task without due date' }
+      ];
+
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify(mockTasks),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([]),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      expect(UrlFetchApp.fetch).not.toHaveBeenCalledWith(
+        expect.stringContaining('parent_id='),
+        expect.any(Object)
+      );
+      // The due child is nested under its parent rather than listed twice
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0].subtasks.map(t => t.id)).toEqual(['2', '3']);
+      // The JSON export's flat list still has every task in the window
+      expect(result.rawTasks.map(t => t.id)).toEqual(['1', '3']);
+      expect(result.rawTasks[0]).not.toHaveProperty('subtasks');
+    });
+
+    test('should request sub-tasks per task when SUBTASK_FETCH_MODE is per-task', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'SUBTASK_FETCH_MODE': 'per-task'
+      });
+
+      const mockTasks = [{ id: '1', content: 'Parent', due: { date: '2024-01-15' } }];
+      const mockSubtasks = [{ id: '2', content: 'Child', parent_id: '1' }];
+
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify(mockTasks),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify(mockSubtasks),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([]), // sub-tasks of the child
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([]),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/rest/v2/tasks?parent_id=1',
+        expect.any(Object)
+      );
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/rest/v2/tasks?parent_id=2',
+        expect.any(Object)
+      );
+      expect(result.tasks[0].subtasks.map(t => t.id)).toEqual(['2']);
+      expect(result.tasks[0].subtasks[0].subtasks).toEqual([]);
+    });
+
     test('should use correct API endpoints and headers', () => {
       UrlFetchApp.fetch
         .mockReturnValueOnce({
@@ -165,6 +235,151 @@ describe('API Integration', () => {
       expect(result.tasks[0].content).toBe('Due tomorrow');
     });
 
+    test('should fetch sections only when a task belongs to one', () => {
+      const tomorrow = new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+      const mockSections = [{ id: 's1', project_id: '456', name: 'Waiting on', order: 1 }];
+
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([
+            { id: '1', content: 'Sectioned', project_id: '456', section_id: 's1', due: { date: tomorrow } }
+          ]),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([{ id: '456', name: 'Work' }]),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify(mockSections),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenLastCalledWith(
+        'https://api.todoist.com/rest/v2/sections',
+        expect.any(Object)
+      );
+      expect(result.sections).toEqual(mockSections);
+    });
+
+    test('should skip the sections request when no task has a section', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([{ id: '1', content: 'Loose task', due: { date: '2024-01-15' } }]),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([]),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      expect(result.sections).toEqual([]);
+    });
+
+    test('should use LOOKAHEAD_DAYS for the client-side window', () => {
+      const inDays = (days) => new Date(Date.now() + (days * 24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+      const mockTasks = [
+        { id: '1', content: 'Due in 2 days', due: { date: inDays(2) } },
+        { id: '2', content: 'Due in 5 days', due: { date: inDays(5) } },
+        { id: '3', content: 'Due in 12 days', due: { date: inDays(12) } }
+      ];
+      const respond = () => {
+        UrlFetchApp.fetch
+          .mockReturnValueOnce({
+            getContentText: () => JSON.stringify(mockTasks),
+            getResponseCode: () => 200
+          })
+          .mockReturnValueOnce({
+            getContentText: () => JSON.stringify([]),
+            getResponseCode: () => 200
+          });
+      };
+
+      PropertiesService.setMockProperties({ 'TODOIST_TOKEN': 'mock-token-12345', 'LOOKAHEAD_DAYS': '3' });
+      respond();
+      expect(getTodoistData().tasks.map(t => t.id)).toEqual(['1']);
+
+      PropertiesService.setMockProperties({ 'TODOIST_TOKEN': 'mock-token-12345', 'LOOKAHEAD_DAYS': '14' });
+      respond();
+      expect(getTodoistData().tasks.map(t => t.id)).toEqual(['1', '2', '3']);
+    });
+
+    test('should pass TODOIST_FILTER to the API instead of filtering client-side', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_FILTER': 'overdue | today & #Work'
+      });
+      const mockTasks = [
+        { id: '1', content: 'Matched without due date' },
+        { id: '2', content: 'Matched far in the future', due: { date: '2099-12-31' } }
+      ];
+
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify(mockTasks),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify([]),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/rest/v2/tasks?filter=overdue%20%7C%20today%20%26%20%23Work',
+        expect.any(Object)
+      );
+      expect(result.tasks.map(t => t.id)).toEqual(['1', '2']);
+    });
+
+    test('should nest sub-tasks under a matching parent even when they do not match the filter', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_FILTER': 'today'
+      });
+      const parent = { id: '1', content: 'Matched parent', project_id: 'p1', due: { date: '2024-01-15' } };
+      const child = { id: '2', content: 'Undated child', project_id: 'p1', parent_id: '1' };
+      const unrelated = { id: '3', content: 'Not matched', project_id: 'p1' };
+      UrlFetchApp.fetch.mockImplementation((url) => {
+        let body = [];
+        if (url.includes('/tasks?filter=')) body = [parent];
+        else if (url.includes('/tasks')) body = [parent, child, unrelated];
+        else if (url.includes('/projects')) body = [{ id: 'p1', name: 'Work' }];
+        return { getContentText: () => JSON.stringify(body), getResponseCode: () => 200 };
+      });
+
+      const result = getTodoistData();
+
+      expect(result.tasks.map(t => t.id)).toEqual(['1']);
+      expect(result.tasks[0].subtasks.map(t => t.id)).toEqual(['2']);
+      expect(result.rawTasks.map(t => t.id)).toEqual(['1']);
+    });
+
+    test('should use the v1 filter endpoint when TODOIST_API_VERSION is v1', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_API_VERSION': 'v1',
+        'TODOIST_FILTER': 'today'
+      });
+      UrlFetchApp.fetch.mockReturnValue({
+        getContentText: () => JSON.stringify({ results: [], next_cursor: null }),
+        getResponseCode: () => 200
+      });
+
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/api/v1/tasks/filter?query=today&limit=200',
+        expect.any(Object)
+      );
+    });
+
     test('should handle malformed JSON responses gracefully', () => {
       UrlFetchApp.fetch
         .mockReturnValueOnce({
@@ -176,6 +391,262 @@ describe('API Integration', () => {
     });
   });
 
+  describe('filterTasksByDueWindow() across time zones', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const dueOn = date => ({ id: date, due: { date: date } });
+
+    test.each([
+      // [case, TIMEZONE, now (UTC), lookahead days, included, excluded]
+      ['late evening before US DST starts', 'America/Chicago', '2024-03-10T05:30:00Z', 0, ['2024-03-09'], ['2024-03-10']],
+      ['the night US DST ends', 'America/New_York', '2024-11-03T03:30:00Z', 1, ['2024-11-02', '2024-11-03'], ['2024-11-04']],
+      ['week spanning the UK DST change', 'Europe/London', '2024-10-27T00:30:00Z', 7, ['2024-11-03'], ['2024-11-04']],
+      ['Auckland already on the next day', 'Pacific/Auckland', '2024-01-15T12:00:00Z', 0, ['2024-01-15', '2024-01-16'], ['2024-01-17']],
+      ['Honolulu still on the previous day', 'Pacific/Honolulu', '2024-01-15T08:00:00Z', 1, ['2024-01-15'], ['2024-01-16']],
+      ['Kiritimati at UTC+14', 'Pacific/Kiritimati', '2024-01-15T11:00:00Z', 0, ['2024-01-16'], ['2024-01-17']]
+    ])('should count calendar days in TIMEZONE: %s', (name, timezone, now, lookaheadDays, included, excluded) => {
+      jest.useFakeTimers({ now: new Date(now) });
+      PropertiesService.setMockProperties({ 'TIMEZONE': timezone });
+
+      const result = filterTasksByDueWindow(included.concat(excluded).map(dueOn), lookaheadDays).map(t => t.id);
+
+      expect(result).toEqual(included);
+    });
+
+    test('should place fixed-timezone times on their calendar day in TIMEZONE', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-15T18:00:00Z') });
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Chicago' });
+      const tasks = [
+        // 03:00 UTC on the 16th is still the evening of the 15th in Chicago
+        { id: 'fixed', due: { date: '2024-01-16', datetime: '2024-01-16T03:00:00Z', timezone: 'Europe/London' } },
+        { id: 'fixed-next-day', due: { date: '2024-01-16', datetime: '2024-01-16T07:00:00Z', timezone: 'Europe/London' } }
+      ];
+
+      expect(filterTasksByDueWindow(tasks, 0).map(t => t.id)).toEqual(['fixed']);
+    });
+
+    test('should keep floating times on the date they were written for', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-16T02:00:00Z') });
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Los_Angeles' });
+      const tasks = [
+        { id: 'floating-today', due: { date: '2024-01-15', datetime: '2024-01-15T23:30:00' } },
+        { id: 'floating-tomorrow', due: { date: '2024-01-16', datetime: '2024-01-16T00:30:00' } }
+      ];
+
+      expect(filterTasksByDueWindow(tasks, 0).map(t => t.id)).toEqual(['floating-today']);
+    });
+  });
+
+  describe('Deadlines and durations', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should include tasks whose deadline falls in the window even if due later', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-15T18:00:00Z') });
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Chicago' });
+      const tasks = [
+        { id: 'deadline-soon', due: { date: '2024-02-01' }, deadline: { date: '2024-01-17' } },
+        { id: 'deadline-only', deadline: { date: '2024-01-10' } },
+        { id: 'deadline-later', due: { date: '2024-02-01' }, deadline: { date: '2024-02-10' } }
+      ];
+
+      expect(filterTasksByDueWindow(tasks, 3).map(t => t.id)).toEqual(['deadline-soon', 'deadline-only']);
+    });
+
+    test('should show a timed task with a duration as a time block', () => {
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'UTC' });
+      const due = { date: '2024-01-15', datetime: '2024-01-15T10:00:00Z', timezone: 'UTC' };
+
+      expect(formatDueDateString(due, { amount: 45, unit: 'minute' })).toBe(' (Due: Jan 15, 2024, 10:00 AM\u201310:45 AM)');
+    });
+
+    test('should show day durations as a length', () => {
+      expect(formatDueDateString({ date: '2024-01-15' }, { amount: 3, unit: 'day' })).toBe(' (Due: Jan 15, 2024, 3 days)');
+    });
+
+    test('should format deadlines separately from due dates', () => {
+      expect(formatDeadlineString({ date: '2024-10-24' })).toBe(' (Deadline: Oct 24, 2024)');
+      expect(formatDeadlineString(null)).toBe('');
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test.each([
+      ['every day', { intervalDays: 1 }],
+      ['every! 3 days', { intervalDays: 3 }],
+      ['every other week', { intervalDays: 14 }],
+      ['every weekday at 9am', { weekdays: [1, 2, 3, 4, 5] }],
+      ['every mon, thu', { weekdays: [1, 4] }],
+      ['every month', null],
+      ['every 15th', null]
+    ])('should parse "%s"', (dueString, expected) => {
+      expect(parseRecurrenceRule(dueString)).toEqual(expected);
+    });
+
+    test('should project the next occurrences within the window', () => {
+      // Wednesday, Jan 17 2024 in Chicago
+      jest.useFakeTimers({ now: new Date('2024-01-17T18:00:00Z') });
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Chicago' });
+      const tasks = [
+        { id: 'daily', due: { date: '2024-01-17', is_recurring: true, string: 'every day' } },
+        { id: 'weekday', due: { date: '2024-01-17', is_recurring: true, string: 'every weekday' } },
+        { id: 'overdue', due: { date: '2024-01-15', is_recurring: true, string: 'every 2 days' } },
+        { id: 'monthly', due: { date: '2024-01-17', is_recurring: true, string: 'every month' } },
+        { id: 'one-off', due: { date: '2024-01-17' } }
+      ];
+
+      projectRecurringTasks(tasks, 4, 3);
+
+      expect(tasks[0].projected_dates).toEqual(['2024-01-18', '2024-01-19', '2024-01-20']);
+      expect(tasks[1].projected_dates).toEqual(['2024-01-18', '2024-01-19']);
+      expect(tasks[2].projected_dates).toEqual(['2024-01-17', '2024-01-19', '2024-01-21']);
+      expect(tasks[3].projected_dates).toBeUndefined();
+      expect(tasks[4].projected_dates).toBeUndefined();
+    });
+
+    test('should project over the window of a TODOIST_FILTER query', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-17T18:00:00Z') });
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Chicago' });
+      const tasks = [{ id: 'later', due: { date: '2024-01-27' } }];
+
+      expect(getFilterWindowDays('overdue | next 3 days & #Work', tasks)).toBe(2);
+      expect(getFilterWindowDays('today | tomorrow', tasks)).toBe(1);
+      expect(getFilterWindowDays('#Work', tasks)).toBe(10);
+      expect(getFilterWindowDays('#Work', [])).toBe(0);
+    });
+
+    test('should count projected occurrences under each due day', () => {
+      const tasks = [{ id: 'daily', due: { date: '2024-01-17', is_recurring: true, string: 'every day' }, projected_dates: ['2024-01-18', '2024-01-19'] }];
+
+      const statistics = buildTaskStatistics(tasks, tasks, []);
+
+      expect(statistics.byDueDate).toEqual({ '2024-01-17': 1, '2024-01-18': 1, '2024-01-19': 1 });
+      expect(Object.keys(statistics.byDueDate)).toEqual(['2024-01-17', '2024-01-18', '2024-01-19']);
+    });
+
+    test('should count a due time on its day in the configured timezone', () => {
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'America/Chicago' });
+      const tasks = [
+        { id: 'late', due: { date: '2024-01-18', datetime: '2024-01-18T03:00:00Z', timezone: 'UTC' } },
+        { id: 'floating', due: { date: '2024-01-18', datetime: '2024-01-18T09:00:00' } }
+      ];
+
+      const statistics = buildTaskStatistics(tasks, tasks, []);
+
+      expect(statistics.byDueDate).toEqual({ '2024-01-17': 1, '2024-01-18': 1 });
+    });
+
+    test('should describe the recurrence with its next dates', () => {
+      const task = {
+        due: { date: '2024-01-17', is_recurring: true, string: 'every day' },
+        projected_dates: ['2024-01-18', '2024-01-19']
+      };
+
+      expect(formatRecurrenceString(task)).toBe(' \u21bb every day (next: Jan 18, Jan 19)');
+      expect(formatRecurrenceString({ due: { date: '2024-01-17' } })).toBe('');
+    });
+  });
+
+  describe('formatDueDateString()', () => {
+    test('should print all-day dates without shifting the day', () => {
+      expect(formatDueDateString({ date: '2024-01-15' })).toBe(' (Due: Jan 15, 2024)');
+    });
+
+    test('should print floating times as written', () => {
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'Asia/Tokyo' });
+
+      expect(formatDueDateString({ date: '2024-01-15', datetime: '2024-01-15T09:00:00' })).toBe(' (Due: Jan 15, 2024, 9:00 AM)');
+    });
+
+    test('should print fixed-timezone times in TIMEZONE', () => {
+      PropertiesService.setMockProperties({ 'TIMEZONE': 'Asia/Tokyo' });
+
+      expect(formatDueDateString({ date: '2024-01-15', datetime: '2024-01-15T09:00:00Z', timezone: 'UTC' })).toBe(' (Due: Jan 15, 2024, 6:00 PM)');
+    });
+  });
+
+  describe('attachSubtasksFromTaskList()', () => {
+    test('should attach children by parent_id in API order', () => {
+      const tasks = [
+        { id: '1', content: 'Parent' },
+        { id: '2', content: 'Other parent' }
+      ];
+      const allTasks = [
+        ...tasks,
+        { id: '11', content: 'First child', parent_id: '1' },
+        { id: '12', content: 'Second child', parent_id: '1' }
+      ];
+
+      const result = attachSubtasksFromTaskList(tasks, allTasks);
+
+      expect(result).toHaveLength(2);
+      expect(result[0].subtasks.map(t => t.content)).toEqual(['First child', 'Second child']);
+      expect(result[1].subtasks).toEqual([]);
+    });
+
+    test('should not share sub-task objects with the source list', () => {
+      const allTasks = [
+        { id: '1', content: 'Parent' },
+        { id: '11', content: 'Child', parent_id: '1' }
+      ];
+
+      const result = attachSubtasksFromTaskList([{ id: '1', content: 'Parent' }], allTasks);
+      result[0].subtasks[0].content = 'Changed';
+
+      expect(allTasks[1].content).toBe('Child');
+    });
+
+    test('should nest sub-tasks recursively', () => {
+      const allTasks = [
+        { id: '1', content: 'Parent' },
+        { id: '2', content: 'Child', parent_id: '1' },
+        { id: '3', content: 'Grandchild', parent_id: '2' },
+        { id: '4', content: 'Great-grandchild', parent_id: '3' }
+      ];
+
+      const result = attachSubtasksFromTaskList([{ id: '1', content: 'Parent' }], allTasks, 4);
+
+      const child = result[0].subtasks[0];
+      expect(child.content).toBe('Child');
+      expect(child.subtasks[0].content).toBe('Grandchild');
+      expect(child.subtasks[0].subtasks[0].content).toBe('Great-grandchild');
+      expect(child.subtasks[0].subtasks[0].subtasks).toEqual([]);
+    });
+
+    test('should stop at the configured maximum depth', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'MAX_SUBTASK_DEPTH': '2'
+      });
+      const allTasks = [
+        { id: '1', content: 'Parent' },
+        { id: '2', content: 'Child', parent_id: '1' },
+        { id: '3', content: 'Grandchild', parent_id: '2' },
+        { id: '4', content: 'Great-grandchild', parent_id: '3' }
+      ];
+
+      const result = attachSubtasksFromTaskList([{ id: '1', content: 'Parent' }], allTasks);
+
+      const grandchild = result[0].subtasks[0].subtasks[0];
+      expect(grandchild.content).toBe('Grandchild');
+      expect(grandchild).not.toHaveProperty('subtasks');
+      expect(countSubtasks(result)).toBe(2);
+    });
+
+    test('should not make any API calls', () => {
+      attachSubtasksFromTaskList([{ id: '1' }], [{ id: '2', parent_id: '1' }]);
+
+      expect(UrlFetchApp.fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('fetchTasksWithSubtasks()', () => {
     const mockParams = {
       method: 'get',
@@ -212,6 +683,40 @@ describe('API Integration', () => {
       expect(result[1].subtasks).toEqual([]);
     });
 
+    test('should stop when time runs out and resume from the recorded progress', () => {
+      const realNow = Date.now();
+      const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() =>
+        realNow + (UrlFetchApp.fetch.mock.calls.length > 0 ? 10 * 60 * 1000 : 0));
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify([{ id: '125', content: 'Subtask 1', parent_id: '123' }]),
+        getResponseCode: () => 200
+      });
+      const progress = {};
+
+      let budgetError;
+      try {
+        fetchTasksWithSubtasks([{ id: '123', content: 'Task 1' }, { id: '124', content: 'Task 2' }], mockParams, 1, progress);
+      } catch (e) {
+        budgetError = e;
+      }
+      nowSpy.mockRestore();
+
+      expect(budgetError.isExecutionBudgetExceeded).toBe(true);
+      expect(budgetError.subtaskProgress).toEqual({ '123': [{ id: '125', content: 'Subtask 1', parent_id: '123' }] });
+
+      UrlFetchApp.fetch.mockClear();
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify([]),
+        getResponseCode: () => 200
+      });
+      const result = fetchTasksWithSubtasks([{ id: '123', content: 'Task 1' }, { id: '124', content: 'Task 2' }], mockParams, 1, budgetError.subtaskProgress);
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(UrlFetchApp.fetch.mock.calls[0][0]).toContain('parent_id=124');
+      expect(result[0].subtasks).toHaveLength(1);
+      expect(result[1].subtasks).toEqual([]);
+    });
+
     test('should call subtask API for each task', () => {
       const mockTasks = [
         { id: '123', content: 'Task 1' },
@@ -300,6 +805,923 @@ describe('API Integration', () => {
     });
   });
 
+  describe('Todoist API v1', () => {
+    beforeEach(() => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_API_VERSION': 'v1'
+      });
+    });
+
+    test('should follow next_cursor until the collection is exhausted', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify({ results: [{ id: 'a' }, { id: 'b' }], next_cursor: 'page-2' }),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify({ results: [{ id: 'c' }], next_cursor: null }),
+          getResponseCode: () => 200
+        });
+
+      const tasks = fetchTodoistCollection('tasks', { method: 'get' });
+
+      expect(tasks.map(t => t.id)).toEqual(['a', 'b', 'c']);
+      expect(UrlFetchApp.fetch).toHaveBeenNthCalledWith(
+        1,
+        'https://api.todoist.com/api/v1/tasks?limit=200',
+        { method: 'get' }
+      );
+      expect(UrlFetchApp.fetch).toHaveBeenNthCalledWith(
+        2,
+        'https://api.todoist.com/api/v1/tasks?limit=200&cursor=page-2',
+        { method: 'get' }
+      );
+    });
+
+    test('should stop on a cursor that never ends', () => {
+      UrlFetchApp.fetch.mockReturnValue({
+        getContentText: () => JSON.stringify({ results: [], next_cursor: 'again' }),
+        getResponseCode: () => 200
+      });
+
+      expect(() => fetchTodoistCollection('projects', {})).toThrow('more than 100 pages');
+    });
+
+    test('should normalize v1 tasks and projects to the v2 shape', () => {
+      const tomorrow = new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+      const v1Tasks = [
+        {
+          id: '6X7rM8997g3RQmvh',
+          content: 'Timed task',
+          added_at: '2024-01-01T10:00:00Z',
+          note_count: 3,
+          child_order: 2,
+          checked: false,
+          responsible_uid: '42',
+          project_id: 'p1',
+          due: { date: tomorrow + 'T17:00:00Z', timezone: 'Europe/London', is_recurring: false }
+        },
+        {
+          id: '6X7rfFVPjhvv84XG',
+          content: 'All-day task',
+          added_at: '2024-01-02T10:00:00Z',
+          project_id: 'p1',
+          due: { date: '2024-01-15', is_recurring: false }
+        }
+      ];
+      const v1Projects = [{ id: 'p1', name: 'Work', child_order: 1, inbox_project: false }];
+
+      UrlFetchApp.fetch
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify({ results: v1Tasks, next_cursor: null }),
+          getResponseCode: () => 200
+        })
+        .mockReturnValueOnce({
+          getContentText: () => JSON.stringify({ results: v1Projects, next_cursor: null }),
+          getResponseCode: () => 200
+        });
+
+      const result = getTodoistData();
+
+      const timed = result.rawTasks.find(t => t.content === 'Timed task');
+      expect(timed.created_at).toBe('2024-01-01T10:00:00Z');
+      expect(timed.comment_count).toBe(3);
+      expect(timed.order).toBe(2);
+      expect(timed.is_completed).toBe(false);
+      expect(timed.assignee_id).toBe('42');
+      expect(timed.due.datetime).toBe(tomorrow + 'T17:00:00Z');
+      expect(timed.due.date).toBe(tomorrow);
+      expect(timed.url).toBe('https://app.todoist.com/app/task/6X7rM8997g3RQmvh');
+
+      const allDay = result.rawTasks.find(t => t.content === 'All-day task');
+      expect(allDay.due).toEqual({ date: '2024-01-15', is_recurring: false });
+
+      expect(result.projects[0].order).toBe(1);
+      expect(result.projects[0].is_inbox_project).toBe(false);
+    });
+
+    test('should request v1 sub-tasks with the parent_id filter', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_API_VERSION': 'v1',
+        'SUBTASK_FETCH_MODE': 'per-task'
+      });
+      UrlFetchApp.fetch.mockReturnValue({
+        getContentText: () => JSON.stringify({ results: [], next_cursor: null }),
+        getResponseCode: () => 200
+      });
+
+      fetchTasksWithSubtasks([{ id: 'abc', content: 'Parent' }], {});
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/api/v1/tasks?parent_id=abc&limit=200',
+        {}
+      );
+    });
+
+    test('should reject unsupported API versions', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_API_VERSION': 'v9'
+      });
+
+      expect(() => getTodoistData()).toThrow('Unsupported TODOIST_API_VERSION "v9"');
+    });
+  });
+
+  describe('Missing projects', () => {
+    const tasks = [
+      { id: '1', content: 'Known', project_id: 'p1' },
+      { id: '2', content: 'Archived', project_id: 'p9' }
+    ];
+    const projects = [{ id: 'p1', name: 'Work' }];
+
+    test('should look up unknown v2 projects one at a time', () => {
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify({ id: 'p9', name: 'Old clients' }),
+        getResponseCode: () => 200
+      });
+
+      const result = resolveMissingProjects(tasks, projects, { method: 'get' });
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith('https://api.todoist.com/rest/v2/projects/p9', { method: 'get' });
+      expect(result.map(p => p.name)).toEqual(['Work', 'Old clients']);
+    });
+
+    test('should use the archived projects endpoint with API v1', () => {
+      PropertiesService.setMockProperties({ 'TODOIST_API_VERSION': 'v1' });
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify({
+          results: [{ id: 'p9', name: 'Old clients', is_archived: true, child_order: 3 }, { id: 'p7', name: 'Unrelated' }],
+          next_cursor: null
+        }),
+        getResponseCode: () => 200
+      });
+
+      const result = resolveMissingProjects(tasks, projects, { method: 'get' });
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith('https://api.todoist.com/api/v1/projects/archived?limit=200', { method: 'get' });
+      expect(result.map(p => p.id)).toEqual(['p1', 'p9']);
+      expect(result[1].order).toBe(3);
+    });
+
+    test('should warn instead of failing when a project cannot be found', () => {
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify({ error: 'Not found' }),
+        getResponseCode: () => 404
+      });
+
+      const result = resolveMissingProjects(tasks, projects, { method: 'get' });
+
+      expect(result).toEqual(projects);
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('Project p9 was not found'));
+    });
+
+    test('should not make requests when every project is known', () => {
+      const result = resolveMissingProjects([tasks[0]], projects, { method: 'get' });
+
+      expect(result).toBe(projects);
+      expect(UrlFetchApp.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Task comments', () => {
+    const jsonResponse = body => ({
+      getContentText: () => JSON.stringify(body),
+      getResponseCode: () => 200
+    });
+
+    test('should attach the most recent comments of commented tasks only', () => {
+      PropertiesService.setMockProperties({ 'MAX_COMMENTS_PER_TASK': '2' });
+      const tasks = [
+        { id: '1', content: 'Discussed', project_id: 'p1', comment_count: 3, subtasks: [] },
+        { id: '2', content: 'Quiet', project_id: 'p1', comment_count: 0, subtasks: [] }
+      ];
+      UrlFetchApp.fetch.mockReturnValueOnce(jsonResponse([
+        { id: 'c3', content: 'Third', posted_at: '2024-01-03T10:00:00Z' },
+        { id: 'c1', content: 'First', posted_at: '2024-01-01T10:00:00Z' },
+        { id: 'c2', content: 'Second', posted_at: '2024-01-02T10:00:00Z' }
+      ]));
+
+      attachTaskComments(tasks, [{ id: 'p1', name: 'Work' }], { method: 'get' });
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith('https://api.todoist.com/rest/v2/comments?task_id=1', { method: 'get' });
+      expect(tasks[0].comments.map(c => c.id)).toEqual(['c2', 'c3']);
+      expect(tasks[0].omitted_comment_count).toBe(1);
+      expect(tasks[1].comments).toBeUndefined();
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('REST v2 comments have no author'));
+    });
+
+    test('should fetch comments of sub-tasks and name authors in shared v1 projects', () => {
+      PropertiesService.setMockProperties({ 'TODOIST_API_VERSION': 'v1' });
+      const tasks = [{
+        id: '1',
+        content: 'Parent',
+        project_id: 'p1',
+        subtasks: [{ id: '2', content: 'Child', project_id: 'p1', comment_count: 1, subtasks: [] }]
+      }];
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse({ results: [{ id: 'u1', name: 'Alice' }], next_cursor: null }))
+        .mockReturnValueOnce(jsonResponse({
+          results: [{
+            id: 'c1',
+            item_id: '2',
+            posted_uid: 'u1',
+            content: 'See attached',
+            file_attachment: { file_name: 'plan.pdf', file_url: 'https://files.example/plan.pdf' }
+          }],
+          next_cursor: null
+        }));
+
+      attachTaskComments(tasks, [{ id: 'p1', name: 'Team', is_shared: true }], { method: 'get' });
+
+      expect(UrlFetchApp.fetch).toHaveBeenNthCalledWith(
+        1,
+        'https://api.todoist.com/api/v1/projects/p1/collaborators?limit=200',
+        { method: 'get' }
+      );
+      const comment = tasks[0].subtasks[0].comments[0];
+      expect(comment.author_name).toBe('Alice');
+      expect(comment.task_id).toBe('2');
+      expect(comment.attachment.file_name).toBe('plan.pdf');
+    });
+
+    test('should keep exporting when comments cannot be fetched', () => {
+      const tasks = [{ id: '1', content: 'Discussed', comment_count: 1, subtasks: [] }];
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => 'Not found',
+        getResponseCode: () => 404
+      });
+
+      attachTaskComments(tasks, [], { method: 'get' });
+
+      expect(tasks[0].comments).toBeUndefined();
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('Could not fetch comments for task 1'));
+    });
+  });
+
+  describe('Completed tasks', () => {
+    const jsonResponse = body => ({
+      getContentText: () => JSON.stringify(body),
+      getResponseCode: () => 200
+    });
+
+    test('should page through the v1 completed endpoint, most recent first', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse({
+          items: [{ id: 'a', content: 'Earlier', completed_at: '2024-01-14T12:00:00Z', child_order: 2 }],
+          next_cursor: 'next'
+        }))
+        .mockReturnValueOnce(jsonResponse({
+          items: [{ id: 'b', content: 'Later', completed_at: '2024-01-15T12:00:00Z' }],
+          next_cursor: null
+        }));
+
+      const completed = fetchCompletedTasks({ method: 'get' }, 7);
+
+      const firstUrl = UrlFetchApp.fetch.mock.calls[0][0];
+      expect(firstUrl).toMatch(/^https:\/\/api\.todoist\.com\/api\/v1\/tasks\/completed\/by_completion_date\?since=.+&until=.+&limit=200$/);
+      expect(UrlFetchApp.fetch.mock.calls[1][0]).toContain('&cursor=next');
+      expect(completed.map(t => t.id)).toEqual(['b', 'a']);
+      expect(completed[1].order).toBe(2);
+    });
+
+    test('should return completed tasks from getTodoistData when a lookback is configured', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'COMPLETED_LOOKBACK_DAYS': '3'
+      });
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([]))
+        .mockReturnValueOnce(jsonResponse({
+          items: [{ id: 'done', content: 'Shipped', project_id: 'p1', completed_at: '2024-01-15T12:00:00Z' }],
+          next_cursor: null
+        }))
+        .mockReturnValueOnce(jsonResponse([{ id: 'p1', name: 'Work' }]));
+
+      const result = getTodoistData();
+
+      expect(result.completedTasks.map(t => t.id)).toEqual(['done']);
+    });
+
+    test('should export without completed tasks when they cannot be fetched', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'COMPLETED_LOOKBACK_DAYS': '3'
+      });
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([]))
+        .mockReturnValueOnce({ getContentText: () => 'Bad request', getResponseCode: () => 400 })
+        .mockReturnValueOnce(jsonResponse([]));
+
+      const result = getTodoistData();
+
+      expect(result.completedTasks).toEqual([]);
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('Could not fetch completed tasks'));
+    });
+  });
+
+  describe('Assignees', () => {
+    const jsonResponse = body => ({
+      getContentText: () => JSON.stringify(body),
+      getResponseCode: () => 200
+    });
+    const tomorrow = () => new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+
+    test('should name assignees from the collaborators of their project', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([
+          { id: '1', content: 'Review', project_id: 'team', assignee_id: 'u2', due: { date: tomorrow() } }
+        ]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'team', name: 'Team', is_shared: true }]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'u2', name: 'Bob' }]));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenLastCalledWith(
+        'https://api.todoist.com/rest/v2/projects/team/collaborators',
+        expect.any(Object)
+      );
+      expect(result.tasks[0].assignee_name).toBe('Bob');
+    });
+
+    test('should not look up collaborators when no task is assigned', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([
+          { id: '1', content: 'Review', project_id: 'team', due: { date: tomorrow() } }
+        ]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'team', name: 'Team', is_shared: true }]));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      expect(result.tasks[0].assignee_name).toBeUndefined();
+    });
+
+    test('should explain a failed user lookup for ASSIGNEE_FILTER=me', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'ASSIGNEE_FILTER': 'me'
+      });
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([{ id: '1', content: 'Mine', due: { date: tomorrow() } }]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'p1', name: 'Inbox' }]))
+        .mockReturnValueOnce({ getContentText: () => 'Not found', getResponseCode: () => 404 });
+
+      expect(() => getTodoistData()).toThrow('ASSIGNEE_FILTER includes "me", but the Todoist user could not be looked up');
+    });
+
+    test('should keep only my tasks with ASSIGNEE_FILTER=me', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'ASSIGNEE_FILTER': 'me'
+      });
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(jsonResponse([
+          { id: '1', content: 'Bob task', project_id: 'team', assignee_id: 'u2', due: { date: tomorrow() } },
+          { id: '2', content: 'My sub-task', project_id: 'team', parent_id: '1', assignee_id: 'u1', due: { date: tomorrow() } },
+          { id: '3', content: 'Unassigned', project_id: 'team', due: { date: tomorrow() } }
+        ]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'team', name: 'Team', is_shared: true }]))
+        .mockReturnValueOnce(jsonResponse([{ id: 'u1', name: 'Me' }, { id: 'u2', name: 'Bob' }]))
+        .mockReturnValueOnce(jsonResponse({ id: 'u1', full_name: 'Me' }));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenLastCalledWith('https://api.todoist.com/api/v1/user', expect.any(Object));
+      expect(result.tasks.map(t => t.id)).toEqual(['2']);
+      expect(result.rawTasks.map(t => t.id)).toEqual(['2']);
+    });
+  });
+
+  describe('filterTasksByAssignee()', () => {
+    test('should keep matching tasks with their sub-tasks and promote matching sub-tasks', () => {
+      const tasks = [
+        { id: '1', assignee_id: 'u1', subtasks: [{ id: '1a', assignee_id: 'u2', subtasks: [] }] },
+        { id: '2', assignee_id: 'u2', assignee_name: 'Bob', subtasks: [{ id: '2a', subtasks: [] }] }
+      ];
+
+      const result = filterTasksByAssignee(tasks, { me: true, unassigned: true, names: [] }, 'u1');
+
+      expect(result.map(t => t.id)).toEqual(['1', '2a']);
+      expect(result[0].subtasks.map(t => t.id)).toEqual(['1a']);
+    });
+
+    test('should match collaborator names case-insensitively', () => {
+      const tasks = [
+        { id: '1', assignee_id: 'u2', assignee_name: 'Bob' },
+        { id: '2', assignee_id: 'u3', assignee_name: 'Carol' }
+      ];
+
+      const result = filterTasksByAssignee(tasks, { me: false, unassigned: false, names: ['bob'] }, null);
+
+      expect(result.map(t => t.id)).toEqual(['1']);
+    });
+  });
+
+  describe('Team accounts', () => {
+    const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    function teamResponses(tasksByToken) {
+      UrlFetchApp.fetch.mockImplementation((url, params) => {
+        const token = params.headers.Authorization.replace('Bearer ', '');
+        const tasks = tasksByToken[token];
+        if (!tasks) {
+          return { getContentText: () => 'Unauthorized', getResponseCode: () => 401 };
+        }
+        return {
+          getContentText: () => JSON.stringify(url.includes('/projects') ? [{ id: 'p1', name: 'Work' }] : tasks),
+          getResponseCode: () => 200
+        };
+      });
+    }
+
+    beforeEach(() => {
+      PropertiesService.setMockProperties({
+        'TEAM_ACCOUNTS': 'Alice: token-a, Bob: token-b',
+        'TIMEZONE': 'UTC'
+      });
+    });
+
+    test('should fetch each person with their own token and count their tasks by due date', () => {
+      teamResponses({
+        'token-a': [
+          { id: '1', content: 'Overdue', project_id: 'p1', due: { date: day(-2) } },
+          { id: '2', content: 'Today', project_id: 'p1', due: { date: day(0) } },
+          { id: '3', content: 'Soon', project_id: 'p1', due: { date: day(3) } }
+        ],
+        'token-b': [{ id: '4', content: 'Bob today', project_id: 'p1', due: { date: day(0) } }]
+      });
+
+      const result = fetchSnapshotData();
+
+      expect(result.members.map(member => member.name)).toEqual(['Alice', 'Bob']);
+      expect(result.members[0].dueCounts).toEqual({ overdue: 1, today: 1, upcoming: 1 });
+      expect(result.members[1].dueCounts).toEqual({ overdue: 0, today: 1, upcoming: 0 });
+      expect(result.members[1].data.tasks.map(task => task.content)).toEqual(['Bob today']);
+      const tokensUsed = UrlFetchApp.fetch.mock.calls.map(call => call[1].headers.Authorization);
+      expect(new Set(tokensUsed)).toEqual(new Set(['Bearer token-a', 'Bearer token-b']));
+    });
+
+    test('should keep the rest of the team when one account fails', () => {
+      teamResponses({ 'token-a': [{ id: '1', content: 'Today', project_id: 'p1', due: { date: day(0) } }] });
+
+      const result = fetchSnapshotData();
+
+      expect(result.members[0].data.tasks).toHaveLength(1);
+      expect(result.members[1].data).toBeNull();
+      expect(result.members[1].error).toContain('Status: 401');
+      expect(result.members[1].error).toContain('check that the TEAM_ACCOUNTS token for Bob is a valid API token');
+      expect(result.members[1].error).not.toContain('TODOIST_TOKEN');
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('❌ Could not fetch Todoist data for Bob'));
+    });
+
+    test('should fail when no account can be fetched', () => {
+      teamResponses({});
+
+      expect(() => fetchSnapshotData()).toThrow('Could not fetch Todoist data for any account in TEAM_ACCOUNTS');
+    });
+
+    test('should write one combined document from syncTodoist()', () => {
+      PropertiesService.setMockProperties({
+        'TEAM_ACCOUNTS': 'Alice: token-a, Bob: token-b',
+        'TIMEZONE': 'UTC',
+        'TEXT_FILE_ID': 'team-file'
+      });
+      teamResponses({
+        'token-a': [{ id: '1', content: 'Alice task', project_id: 'p1', due: { date: day(0) } }],
+        'token-b': [{ id: '2', content: 'Bob task', project_id: 'p1', due: { date: day(1) } }]
+      });
+
+      syncTodoist();
+
+      const content = DriveApp.getFileState('team-file').content;
+      expect(content).toContain('Alice\n=====\nOverdue: 0 • Today: 1 • Upcoming: 0');
+      expect(content).toContain('- Alice task');
+      expect(content).toContain('Bob\n===\nOverdue: 0 • Today: 0 • Upcoming: 1');
+      expect(content).toContain('- Bob task');
+    });
+
+    test('should keep Sync API state separately per person', () => {
+      expect(getSyncStateKeys()).toEqual({ token: 'TODOIST_SYNC_TOKEN', state: 'TODOIST_SYNC_STATE' });
+      expect(getSyncStateKeys('Ann Lee')).toEqual({ token: 'TODOIST_SYNC_TOKEN_ANN_LEE', state: 'TODOIST_SYNC_STATE_ANN_LEE' });
+    });
+  });
+
+  describe('Sync API data source', () => {
+    const tomorrow = () => new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+
+    function syncResponse(body) {
+      return {
+        getContentText: () => JSON.stringify(body),
+        getResponseCode: () => 200
+      };
+    }
+
+    beforeEach(() => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_DATA_SOURCE': 'sync'
+      });
+    });
+
+    test('should perform a full sync and store the token and state', () => {
+      UrlFetchApp.fetch.mockReturnValueOnce(syncResponse({
+        sync_token: 'token-1',
+        full_sync: true,
+        items: [{ id: 'a', content: 'Task A', project_id: 'p1', section_id: 's1', due: { date: tomorrow() } }],
+        projects: [{ id: 'p1', name: 'Work', child_order: 1 }],
+        sections: [{ id: 's1', project_id: 'p1', name: 'This sprint', section_order: 2 }]
+      }));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(
+        'https://api.todoist.com/api/v1/sync',
+        expect.objectContaining({
+          method: 'post',
+          headers: { 'Authorization': 'Bearer mock-token-12345' },
+          payload: { sync_token: '*', resource_types: '["items","projects","sections"]' }
+        })
+      );
+      expect(result.tasks.map(t => t.id)).toEqual(['a']);
+      expect(result.projects[0].order).toBe(1);
+      expect(result.sections).toEqual([expect.objectContaining({ id: 's1', order: 2 })]);
+      expect(PropertiesService.getMockProperties().TODOIST_SYNC_TOKEN).toBe('token-1');
+      expect(loadChunkedProperty('TODOIST_SYNC_STATE').items).toHaveLength(1);
+    });
+
+    test('should apply incremental changes to the cached state', () => {
+      saveChunkedProperty('TODOIST_SYNC_STATE', {
+        items: [
+          { id: 'a', content: 'Task A', due: { date: tomorrow() } },
+          { id: 'b', content: 'Task B', due: { date: tomorrow() } },
+          { id: 'c', content: 'Task C', due: { date: tomorrow() } }
+        ],
+        projects: [{ id: 'p1', name: 'Work' }]
+      });
+      PropertiesService.getScriptProperties().setProperty('TODOIST_SYNC_TOKEN', 'token-1');
+
+      UrlFetchApp.fetch.mockReturnValueOnce(syncResponse({
+        sync_token: 'token-2',
+        full_sync: false,
+        items: [
+          { id: 'a', content: 'Task A renamed', due: { date: tomorrow() } },
+          { id: 'b', is_deleted: true },
+          { id: 'c', checked: true },
+          { id: 'd', content: 'Task D', due: { date: tomorrow() } }
+        ],
+        projects: []
+      }));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch.mock.calls[0][1].payload.sync_token).toBe('token-1');
+      expect(result.tasks.map(t => t.content)).toEqual(['Task A renamed', 'Task D']);
+      expect(result.projects).toHaveLength(1);
+      expect(PropertiesService.getMockProperties().TODOIST_SYNC_TOKEN).toBe('token-2');
+    });
+
+    test('should fall back to a full sync when the cached state is missing', () => {
+      PropertiesService.getScriptProperties().setProperty('TODOIST_SYNC_TOKEN', 'stale-token');
+      UrlFetchApp.fetch.mockReturnValueOnce(syncResponse({
+        sync_token: 'token-3',
+        full_sync: true,
+        items: [],
+        projects: []
+      }));
+
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch.mock.calls[0][1].payload.sync_token).toBe('*');
+    });
+
+    test('should ignore TODOIST_FILTER with a warning', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'TODOIST_DATA_SOURCE': 'sync',
+        'TODOIST_FILTER': 'today'
+      });
+      UrlFetchApp.fetch.mockReturnValueOnce(syncResponse({
+        sync_token: 'token-1',
+        full_sync: true,
+        items: [{ id: 'a', content: 'Task A', due: { date: tomorrow() } }],
+        projects: []
+      }));
+
+      const result = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(result.tasks.map(t => t.id)).toEqual(['a']);
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('TODOIST_FILTER is not supported with the Sync API'));
+    });
+
+    test('should forget the token and state on reset', () => {
+      saveChunkedProperty('TODOIST_SYNC_STATE', { items: [], projects: [] });
+      PropertiesService.getScriptProperties().setProperty('TODOIST_SYNC_TOKEN', 'token-1');
+
+      resetTodoistSyncState();
+
+      const stored = PropertiesService.getMockProperties();
+      expect(stored.TODOIST_SYNC_TOKEN).toBeUndefined();
+      expect(stored.TODOIST_SYNC_STATE_COUNT).toBeUndefined();
+      expect(stored.TODOIST_SYNC_STATE_0).toBeUndefined();
+    });
+  });
+
+  describe('Chunked Script properties', () => {
+    test('should round-trip values larger than one property', () => {
+      const value = { text: 'x'.repeat(20000), unicode: 'café 🚀' };
+
+      saveChunkedProperty('TEST_VALUE', value);
+
+      const stored = PropertiesService.getMockProperties();
+      expect(stored.TEST_VALUE_COUNT).toBe('3');
+      Object.keys(stored)
+        .filter(key => key.startsWith('TEST_VALUE_') && key !== 'TEST_VALUE_COUNT')
+        .forEach(key => expect(stored[key].length).toBeLessThanOrEqual(8000));
+      expect(loadChunkedProperty('TEST_VALUE')).toEqual(value);
+    });
+
+    test('should remove leftover chunks when a value shrinks', () => {
+      saveChunkedProperty('TEST_VALUE', 'x'.repeat(20000));
+      saveChunkedProperty('TEST_VALUE', 'small');
+
+      const stored = PropertiesService.getMockProperties();
+      expect(stored.TEST_VALUE_COUNT).toBe('1');
+      expect(stored.TEST_VALUE_1).toBeUndefined();
+      expect(loadChunkedProperty('TEST_VALUE')).toBe('small');
+    });
+
+    test('should return null for missing or incomplete values', () => {
+      expect(loadChunkedProperty('MISSING')).toBeNull();
+
+      saveChunkedProperty('TEST_VALUE', 'x'.repeat(20000));
+      PropertiesService.getScriptProperties().deleteProperty('TEST_VALUE_1');
+
+      expect(loadChunkedProperty('TEST_VALUE')).toBeNull();
+    });
+  });
+
+  describe('Response cache', () => {
+    const tomorrow = () => new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+    let mockTasks;
+
+    beforeEach(() => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'CACHE_TTL_SECONDS': '600'
+      });
+      mockTasks = [{ id: '1', content: 'Cached task', project_id: 'p1', due: { date: tomorrow() } }];
+      UrlFetchApp.fetch.mockImplementation((url) => ({
+        getContentText: () => JSON.stringify(url.includes('/projects') ? [{ id: 'p1', name: 'Work' }] : mockTasks),
+        getResponseCode: () => 200
+      }));
+    });
+
+    test('should not cache anything by default', () => {
+      PropertiesService.setMockProperties({ 'TODOIST_TOKEN': 'mock-token-12345' });
+
+      getTodoistData();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls * 2);
+      expect(CacheService.getMockCache()).toEqual({});
+    });
+
+    test('should serve repeated requests from the cache', () => {
+      const first = getTodoistData();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+      const second = getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls);
+      expect(second.tasks).toEqual(first.tasks);
+      const entries = Object.values(CacheService.getMockCache());
+      expect(entries.length).toBeGreaterThan(0);
+      entries.forEach(entry => expect(entry.ttl).toBe(600));
+    });
+
+    test('should refetch everything when forceRefresh is set', () => {
+      getTodoistData();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+
+      getTodoistData({ forceRefresh: true });
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls * 2);
+
+      // The bypass only lasts for that run
+      getTodoistData();
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls * 2);
+    });
+
+    test('should key entries by token so accounts never share responses', () => {
+      getTodoistData();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'other-token',
+        'CACHE_TTL_SECONDS': '600'
+      });
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls * 2);
+    });
+
+    test('should serve completed tasks from the cache on a later run in the same cache period', () => {
+      const periodStart = Math.ceil(Date.now() / 600000) * 600000;
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(periodStart + 60000);
+      try {
+        fetchCompletedTasks({ method: 'get', headers: { Authorization: 'Bearer mock-token-12345' } }, 7);
+        nowSpy.mockReturnValue(periodStart + 5 * 60000);
+        fetchCompletedTasks({ method: 'get', headers: { Authorization: 'Bearer mock-token-12345' } }, 7);
+      } finally {
+        nowSpy.mockRestore();
+      }
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(UrlFetchApp.fetch.mock.calls[0][0]).toContain('until=' + encodeURIComponent(new Date(periodStart + 600000).toISOString()));
+    });
+
+    test('should split large responses into chunks under the value limit', () => {
+      const tasks = [];
+      for (let i = 0; i < 40; i++) {
+        tasks.push({ id: String(i), content: 'Tâche ' + i, description: 'x'.repeat(5000), project_id: 'p1', due: { date: tomorrow() } });
+      }
+      mockTasks = tasks;
+
+      const first = getTodoistData();
+      const cache = CacheService.getMockCache();
+      const countKeys = Object.keys(cache).filter(key => key.endsWith('_count'));
+      expect(countKeys.some(key => Number(cache[key].value) > 1)).toBe(true);
+      Object.values(cache).forEach(entry => expect(entry.value.length).toBeLessThanOrEqual(90000));
+
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+      const second = getTodoistData();
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls);
+      expect(second.tasks.map(t => t.content)).toEqual(first.tasks.map(t => t.content));
+    });
+
+    test('should treat a partially evicted entry as a miss', () => {
+      getTodoistData();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+      const chunkKey = Object.keys(CacheService.getMockCache()).find(key => key.endsWith('_0'));
+      CacheService.getScriptCache().remove(chunkKey);
+
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls + 1);
+    });
+
+    test('should never cache Sync API requests', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'CACHE_TTL_SECONDS': '600',
+        'TODOIST_DATA_SOURCE': 'sync'
+      });
+      UrlFetchApp.fetch.mockReturnValueOnce({
+        getContentText: () => JSON.stringify({ sync_token: 'token-1', full_sync: true, items: [], projects: [], sections: [] }),
+        getResponseCode: () => 200
+      });
+
+      getTodoistData();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith('https://api.todoist.com/api/v1/sync', expect.anything());
+      expect(CacheService.getMockCache()).toEqual({});
+    });
+
+    test('syncTodoistForceRefresh() should bypass the cache', () => {
+      PropertiesService.setMockProperties({
+        'TODOIST_TOKEN': 'mock-token-12345',
+        'CACHE_TTL_SECONDS': '600',
+        'DOC_ID': 'doc-1'
+      });
+      syncTodoist();
+      const calls = UrlFetchApp.fetch.mock.calls.length;
+
+      syncTodoist();
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls);
+
+      syncTodoistForceRefresh();
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(calls * 2);
+    });
+  });
+
+  describe('Retry handling', () => {
+    function mockResponse(code, body, headers) {
+      return {
+        getContentText: () => JSON.stringify(body),
+        getResponseCode: () => code,
+        getHeaders: () => headers || {}
+      };
+    }
+
+    test('should retry rate limits and server errors before succeeding', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(mockResponse(429, { error: 'Rate limited' }))
+        .mockReturnValueOnce(mockResponse(502, { error: 'Bad gateway' }))
+        .mockReturnValueOnce(mockResponse(200, [{ id: '1' }]));
+
+      const result = fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks');
+
+      expect(result).toEqual([{ id: '1' }]);
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(3);
+      expect(Utilities.sleep).toHaveBeenCalledTimes(2);
+    });
+
+    test('should back off exponentially with jitter', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(mockResponse(503, {}))
+        .mockReturnValueOnce(mockResponse(503, {}))
+        .mockReturnValueOnce(mockResponse(503, {}))
+        .mockReturnValueOnce(mockResponse(200, []));
+
+      fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks');
+
+      const delays = Utilities.sleep.mock.calls.map(call => call[0]);
+      expect(delays[0]).toBeGreaterThanOrEqual(500);
+      expect(delays[0]).toBeLessThanOrEqual(1000);
+      expect(delays[1]).toBeGreaterThanOrEqual(1000);
+      expect(delays[1]).toBeLessThanOrEqual(2000);
+      expect(delays[2]).toBeGreaterThanOrEqual(2000);
+      expect(delays[2]).toBeLessThanOrEqual(4000);
+    });
+
+    test('should honor Retry-After in seconds', () => {
+      UrlFetchApp.fetch
+        .mockReturnValueOnce(mockResponse(429, {}, { 'retry-after': '7' }))
+        .mockReturnValueOnce(mockResponse(200, []));
+
+      fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks');
+
+      expect(Utilities.sleep).toHaveBeenCalledWith(7000);
+    });
+
+    test('should not wait longer than the retry budget allows', () => {
+      UrlFetchApp.fetch.mockReturnValue(mockResponse(429, { error: 'Rate limited' }, { 'Retry-After': '3600' }));
+
+      expect(() => fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks'))
+        .toThrow('Failed to fetch tasks from Todoist API. Status: 429');
+      expect(Utilities.sleep).not.toHaveBeenCalled();
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('would exceed the execution time budget'));
+    });
+
+    test('should give up after the maximum number of retries', () => {
+      UrlFetchApp.fetch.mockReturnValue(mockResponse(500, { error: 'Internal server error' }));
+
+      expect(() => fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks'))
+        .toThrow('Status: 500');
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(5);
+    });
+
+    test('should retry network errors', () => {
+      UrlFetchApp.fetch
+        .mockImplementationOnce(() => { throw new Error('Address unavailable'); })
+        .mockReturnValueOnce(mockResponse(200, []));
+
+      expect(fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks')).toEqual([]);
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([401, 403])('should not retry %i auth errors', (status) => {
+      UrlFetchApp.fetch.mockReturnValue(mockResponse(status, { error: 'Forbidden' }));
+
+      let thrown;
+      try {
+        fetchTodoistJson('https://api.todoist.com/rest/v2/tasks', {}, 'tasks');
+      } catch (e) {
+        thrown = e;
+      }
+
+      expect(thrown.isAuthError).toBe(true);
+      expect(thrown.message).toContain('check that TODOIST_TOKEN is a valid API token');
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(Utilities.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should stop sub-task fetching on auth errors instead of dropping sub-tasks', () => {
+      UrlFetchApp.fetch.mockReturnValue(mockResponse(401, { error: 'Unauthorized' }));
+
+      expect(() => fetchTasksWithSubtasks([{ id: '123', content: 'Parent' }], {}))
+        .toThrow('Status: 401');
+    });
+
+    test('should mark sub-tasks as missing when they cannot be fetched after retries', () => {
+      UrlFetchApp.fetch.mockReturnValue(mockResponse(503, { error: 'Unavailable' }));
+      const progress = {};
+
+      const result = fetchTasksWithSubtasks([{ id: '123', content: 'Parent' }], {}, 1, progress);
+
+      expect(result[0].subtasks).toEqual([]);
+      expect(result[0].subtasks_error).toContain('Status: 503');
+      expect(progress).toEqual({});
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('Could not fetch sub-tasks for task 123'));
+      expect(buildPlainTextForTasks(result, [])).toContain('- Parent (sub-tasks could not be loaded)');
+    });
+  });
+
   describe('API Error Scenarios', () => {
     test('should handle 401 unauthorized responses', () => {
       UrlFetchApp.fetch.mockReturnValue({
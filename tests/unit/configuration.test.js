@@ -67,6 +67,233 @@ describe('Configuration Management', () => {
     });
   });
 
+  describe('getLookaheadDays()', () => {
+    test('should default to 7 days', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getLookaheadDays()).toBe(7);
+    });
+
+    test('should accept zero for overdue and today only', () => {
+      PropertiesService.setMockProperties({ LOOKAHEAD_DAYS: '0' });
+
+      expect(getLookaheadDays()).toBe(0);
+    });
+
+    test('should fall back to default for invalid values', () => {
+      PropertiesService.setMockProperties({ LOOKAHEAD_DAYS: '-2' });
+      expect(getLookaheadDays()).toBe(7);
+
+      PropertiesService.setMockProperties({ LOOKAHEAD_DAYS: 'soon' });
+      expect(getLookaheadDays()).toBe(7);
+    });
+  });
+
+  describe('getTodoistFilter()', () => {
+    test('should return null when not configured or blank', () => {
+      PropertiesService.setMockProperties({});
+      expect(getTodoistFilter()).toBeNull();
+
+      PropertiesService.setMockProperties({ TODOIST_FILTER: '   ' });
+      expect(getTodoistFilter()).toBeNull();
+    });
+
+    test('should return the trimmed filter query', () => {
+      PropertiesService.setMockProperties({ TODOIST_FILTER: ' overdue | today ' });
+
+      expect(getTodoistFilter()).toBe('overdue | today');
+    });
+  });
+
+  describe('getTodoistApiVersion()', () => {
+    test('should default to v2', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getTodoistApiVersion()).toBe('v2');
+    });
+
+    test('should accept v1 regardless of case or whitespace', () => {
+      PropertiesService.setMockProperties({ TODOIST_API_VERSION: ' V1 ' });
+
+      expect(getTodoistApiVersion()).toBe('v1');
+    });
+
+    test('should throw for unknown versions', () => {
+      PropertiesService.setMockProperties({ TODOIST_API_VERSION: 'v3' });
+
+      expect(() => getTodoistApiVersion()).toThrow('Unsupported TODOIST_API_VERSION');
+    });
+  });
+
+  describe('getMaxSubtaskDepth()', () => {
+    test('should default to four levels', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getMaxSubtaskDepth()).toBe(4);
+    });
+
+    test('should return configured depth', () => {
+      PropertiesService.setMockProperties({ MAX_SUBTASK_DEPTH: '2' });
+
+      expect(getMaxSubtaskDepth()).toBe(2);
+    });
+
+    test('should fall back to default for invalid values', () => {
+      PropertiesService.setMockProperties({ MAX_SUBTASK_DEPTH: '0' });
+      expect(getMaxSubtaskDepth()).toBe(4);
+
+      PropertiesService.setMockProperties({ MAX_SUBTASK_DEPTH: 'deep' });
+      expect(getMaxSubtaskDepth()).toBe(4);
+    });
+  });
+
+  describe('getPinFavoriteProjects()', () => {
+    test('should be off by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getPinFavoriteProjects()).toBe(false);
+    });
+
+    test('should be on when set to true', () => {
+      PropertiesService.setMockProperties({ PIN_FAVORITE_PROJECTS: 'true' });
+
+      expect(getPinFavoriteProjects()).toBe(true);
+    });
+  });
+
+  describe('getIncludeComments()', () => {
+    test('should be off by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getIncludeComments()).toBe(false);
+    });
+
+    test('should be on when set to true', () => {
+      PropertiesService.setMockProperties({ INCLUDE_COMMENTS: 'true' });
+
+      expect(getIncludeComments()).toBe(true);
+    });
+  });
+
+  describe('getMaxCommentsPerTask()', () => {
+    test('should default to five comments', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getMaxCommentsPerTask()).toBe(5);
+    });
+
+    test('should return configured cap and ignore invalid values', () => {
+      PropertiesService.setMockProperties({ MAX_COMMENTS_PER_TASK: '2' });
+      expect(getMaxCommentsPerTask()).toBe(2);
+
+      PropertiesService.setMockProperties({ MAX_COMMENTS_PER_TASK: '0' });
+      expect(getMaxCommentsPerTask()).toBe(5);
+    });
+  });
+
+  describe('getCompletedLookbackDays()', () => {
+    test('should be disabled by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getCompletedLookbackDays()).toBe(0);
+    });
+
+    test('should return configured days and ignore invalid values', () => {
+      PropertiesService.setMockProperties({ COMPLETED_LOOKBACK_DAYS: '3' });
+      expect(getCompletedLookbackDays()).toBe(3);
+
+      PropertiesService.setMockProperties({ COMPLETED_LOOKBACK_DAYS: 'week' });
+      expect(getCompletedLookbackDays()).toBe(0);
+    });
+
+    test('should cap the range at what the completed-tasks endpoint accepts', () => {
+      PropertiesService.setMockProperties({ COMPLETED_LOOKBACK_DAYS: '365' });
+
+      expect(getCompletedLookbackDays()).toBe(89);
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('⚠️ COMPLETED_LOOKBACK_DAYS is 365'));
+    });
+  });
+
+  describe('getAssigneeFilter()', () => {
+    test('should keep every task by default or for "anyone"', () => {
+      PropertiesService.setMockProperties({});
+      expect(getAssigneeFilter()).toBeNull();
+
+      PropertiesService.setMockProperties({ ASSIGNEE_FILTER: 'Anyone' });
+      expect(getAssigneeFilter()).toBeNull();
+    });
+
+    test('should parse keywords and collaborator names', () => {
+      PropertiesService.setMockProperties({ ASSIGNEE_FILTER: 'me, Unassigned, Alice Smith' });
+
+      expect(getAssigneeFilter()).toEqual({ me: true, unassigned: true, names: ['alice smith'] });
+    });
+  });
+
+  describe('getRecurringOccurrences()', () => {
+    test('should be disabled by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getRecurringOccurrences()).toBe(0);
+    });
+
+    test('should return the configured number of occurrences', () => {
+      PropertiesService.setMockProperties({ RECURRING_OCCURRENCES: '3' });
+
+      expect(getRecurringOccurrences()).toBe(3);
+    });
+  });
+
+  describe('getTeamAccounts()', () => {
+    test('should be off by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getTeamAccounts()).toBeNull();
+    });
+
+    test('should parse comma- and newline-separated accounts', () => {
+      PropertiesService.setMockProperties({ TEAM_ACCOUNTS: 'Alice Smith: token-a,\nBob: token-b' });
+
+      expect(getTeamAccounts()).toEqual([
+        { name: 'Alice Smith', token: 'token-a' },
+        { name: 'Bob', token: 'token-b' }
+      ]);
+    });
+
+    test('should reject malformed entries without revealing the token', () => {
+      PropertiesService.setMockProperties({ TEAM_ACCOUNTS: 'Alice: token-a, secret-token' });
+
+      expect(() => getTeamAccounts()).toThrow('TEAM_ACCOUNTS entry 2 is not in the form "Name: token".');
+      try { getTeamAccounts(); } catch (e) { expect(e.message).not.toContain('secret-token'); }
+    });
+
+    test('should reject duplicate names', () => {
+      PropertiesService.setMockProperties({ TEAM_ACCOUNTS: 'Alice: token-a, alice: token-b' });
+
+      expect(() => getTeamAccounts()).toThrow('TEAM_ACCOUNTS lists "alice" more than once.');
+    });
+  });
+
+  describe('getCacheTtlSeconds()', () => {
+    test('should disable caching by default', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getCacheTtlSeconds()).toBe(0);
+    });
+
+    test('should clamp the TTL to the CacheService maximum', () => {
+      PropertiesService.setMockProperties({ CACHE_TTL_SECONDS: '99999' });
+
+      expect(getCacheTtlSeconds()).toBe(21600);
+    });
+
+    test('should treat invalid values as disabled', () => {
+      PropertiesService.setMockProperties({ CACHE_TTL_SECONDS: 'soon' });
+
+      expect(getCacheTtlSeconds()).toBe(0);
+    });
+  });
+
   describe('getDocId()', () => {
     test('should return extracted ID from valid Doc URL', () => {
       const mockUrl = 'https://docs.google.com/document/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit';
@@ -125,6 +352,75 @@ describe('Configuration Management', () => {
     });
   });
 
+  describe('getMarkdownFileId()', () => {
+    test('should return extracted ID from Drive file URL', () => {
+      PropertiesService.setMockProperties({ MARKDOWN_FILE_ID: 'https://drive.google.com/file/d/1MdAbCdEFghIJklMNopQRstuVWxyz12/view?usp=sharing' });
+
+      expect(getMarkdownFileId()).toBe('1MdAbCdEFghIJklMNopQRstuVWxyz12');
+    });
+
+    test('should throw error when MARKDOWN_FILE_ID not configured', () => {
+      PropertiesService.setMockProperties({ MARKDOWN_FILE_ID: null });
+
+      expect(() => getMarkdownFileId()).toThrow('MARKDOWN_FILE_ID is not configured');
+    });
+  });
+
+  describe('getHtmlFileId()', () => {
+    test('should return extracted ID from Drive file URL', () => {
+      PropertiesService.setMockProperties({ HTML_FILE_ID: 'https://drive.google.com/file/d/1HtAbCdEFghIJklMNopQRstuVWxyz12/view?usp=sharing' });
+
+      expect(getHtmlFileId()).toBe('1HtAbCdEFghIJklMNopQRstuVWxyz12');
+    });
+
+    test('should throw error when HTML_FILE_ID not configured', () => {
+      PropertiesService.setMockProperties({ HTML_FILE_ID: null });
+
+      expect(() => getHtmlFileId()).toThrow('HTML_FILE_ID is not configured');
+    });
+  });
+
+  describe('getIcsComponent()', () => {
+    test('should default to VTODO', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getIcsComponent()).toBe('VTODO');
+    });
+
+    test('should accept VEVENT in any case', () => {
+      PropertiesService.setMockProperties({ ICS_COMPONENT: ' vevent ' });
+
+      expect(getIcsComponent()).toBe('VEVENT');
+    });
+
+    test('should reject other components', () => {
+      PropertiesService.setMockProperties({ ICS_COMPONENT: 'VJOURNAL' });
+
+      expect(() => getIcsComponent()).toThrow('Unsupported ICS_COMPONENT "VJOURNAL". Use "VTODO" or "VEVENT".');
+    });
+  });
+
+  describe('getCsvColumns()', () => {
+    test('should default to every standard column', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(getCsvColumns()).toEqual(['id', 'parent_id', 'project', 'section', 'content', 'description', 'priority',
+        'due_date', 'due_datetime', 'labels', 'comment_count', 'created_at', 'url']);
+    });
+
+    test('should keep the configured order', () => {
+      PropertiesService.setMockProperties({ CSV_COLUMNS: ' Content, due_date,assignee ' });
+
+      expect(getCsvColumns()).toEqual(['content', 'due_date', 'assignee']);
+    });
+
+    test('should reject unknown columns', () => {
+      PropertiesService.setMockProperties({ CSV_COLUMNS: 'content, status' });
+
+      expect(() => getCsvColumns()).toThrow('CSV_COLUMNS lists unknown column "status".');
+    });
+  });
+
   describe('extractDriveIdFromInput()', () => {
     test('should extract ID from Google Docs sharing URL', () => {
       const url = 'https://docs.google.com/document/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit';
@@ -142,6 +438,12 @@ describe('Configuration Management', () => {
       expect(id).toBe('1AbCdEFghIJklMNopQRstuVWxyz123456');
     });
 
+    test('should extract ID from Google Sheets URL', () => {
+      const url = 'https://docs.google.com/spreadsheets/d/1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh/edit#gid=0';
+
+      expect(extractDriveIdFromInput(url)).toBe('1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh');
+    });
+
     test('should extract ID from short Drive URL', () => {
       const url = 'https://drive.google.com/d/1AbCdEFghIJklMNopQRstuVWxyz123456';
       
@@ -27,6 +27,9 @@ describe('Data Processing', () => {
     // Mock Utilities.formatDate
     Utilities.formatDate.mockImplementation((date, timezone, format) => {
       const d = new Date(date);
+      if (format === 'yyyy-MM-dd') {
+        return d.toLocaleDateString('en-CA', { timeZone: timezone });
+      }
       if (format.includes('MMM d, yyyy')) {
         return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
       }
@@ -220,6 +223,222 @@ describe('Data Processing', () => {
       expect(result).toContain('  - Subtask 2');
     });
 
+    test('should indent every level of nested subtasks', () => {
+      const mockTasks = [
+        {
+          id: '1',
+          content: 'Parent task',
+          project_id: '456',
+          subtasks: [
+            {
+              id: '2',
+              content: 'Child',
+              description: 'Child notes',
+              subtasks: [
+                {
+                  id: '3',
+                  content: 'Grandchild',
+                  subtasks: [{ id: '4', content: 'Great-grandchild', subtasks: [] }]
+                }
+              ]
+            }
+          ]
+        }
+      ];
+
+      const lines = buildPlainTextForTasks(mockTasks, mockProjects).split('\n');
+
+      expect(lines).toContain('- Parent task');
+      expect(lines).toContain('  - Child');
+      expect(lines).toContain('    > Child notes');
+      expect(lines).toContain('    - Grandchild');
+      expect(lines).toContain('      - Great-grandchild');
+      expect(lines.some(line => line.includes('Sub-tasks: 3'))).toBe(true);
+    });
+
+    test('should nest tasks under sections ordered by section order', () => {
+      const mockTasks = [
+        { id: '1', content: 'Sprint task', project_id: '456', section_id: 's2', subtasks: [] },
+        { id: '2', content: 'Loose task', project_id: '456', subtasks: [] },
+        { id: '3', content: 'Waiting task', project_id: '456', section_id: 's1', subtasks: [] }
+      ];
+      const mockSections = [
+        { id: 's1', project_id: '456', name: 'Waiting on', order: 1 },
+        { id: 's2', project_id: '456', name: 'This sprint', order: 2 }
+      ];
+
+      const lines = buildPlainTextForTasks(mockTasks, mockProjects, mockSections).split('\n');
+      const projectLine = lines.indexOf('Work Project:');
+
+      expect(lines.slice(projectLine, projectLine + 6)).toEqual([
+        'Work Project:',
+        '- Loose task',
+        '  Waiting on:',
+        '  - Waiting task',
+        '  This sprint:',
+        '  - Sprint task'
+      ]);
+    });
+
+    test('should list tasks with unknown sections directly under the project', () => {
+      const mockTasks = [{ id: '1', content: 'Orphaned', project_id: '456', section_id: 'gone', subtasks: [] }];
+
+      const result = buildPlainTextForTasks(mockTasks, mockProjects, []);
+
+      expect(result).toContain('Work Project:\n- Orphaned');
+    });
+
+    test('should follow the project tree with breadcrumb titles', () => {
+      const projects = [
+        { id: 'inbox1', name: 'Inbox', is_inbox_project: true, order: 0 },
+        { id: 'w', name: 'Work', order: 2 },
+        { id: 'h', name: 'Home', order: 1 },
+        { id: 'c', name: 'Clients', parent_id: 'w', order: 1 },
+        { id: 'a', name: 'Acme', parent_id: 'c', order: 1 }
+      ];
+      const tasks = [
+        { id: '1', content: 'Invoice Acme', project_id: 'a', subtasks: [] },
+        { id: '2', content: 'Mow lawn', project_id: 'h', subtasks: [] },
+        { id: '3', content: 'Plan week', project_id: 'w', subtasks: [] },
+        { id: '4', content: 'Captured', project_id: 'inbox1', subtasks: [] }
+      ];
+
+      const headings = buildPlainTextForTasks(tasks, projects)
+        .split('\n')
+        .filter(line => line.endsWith(':') && !line.startsWith(' '));
+
+      expect(headings).toEqual(['Inbox:', 'Home:', 'Work:', 'Work \u203a Clients \u203a Acme:']);
+    });
+
+    test('should pin favorite projects when PIN_FAVORITE_PROJECTS is enabled', () => {
+      PropertiesService.setMockProperties({ 'PIN_FAVORITE_PROJECTS': 'true' });
+      const projects = [
+        { id: 'h', name: 'Home', order: 1 },
+        { id: 'w', name: 'Work', order: 2, is_favorite: true }
+      ];
+      const tasks = [
+        { id: '1', content: 'Mow lawn', project_id: 'h', subtasks: [] },
+        { id: '2', content: 'Plan week', project_id: 'w', subtasks: [] }
+      ];
+
+      const result = buildPlainTextForTasks(tasks, projects);
+
+      expect(result.indexOf('Work:')).toBeLessThan(result.indexOf('Home:'));
+    });
+
+    test('should put tasks without a project in the real inbox project', () => {
+      const projects = [
+        { id: 'p1', name: 'Errands', order: 1 },
+        { id: 'inbox1', name: 'Inbox', inbox_project: true, order: 5 }
+      ];
+      const groups = groupTasksByProjectAndSection(
+        [{ id: '1', content: 'Loose' }, { id: '2', content: 'Filed', project_id: 'inbox1' }, { id: '3', content: 'Milk', project_id: 'p1' }],
+        projects
+      );
+
+      expect(groups.map(g => g.projectId)).toEqual(['inbox1', 'p1']);
+      expect(groups[0].tasks.map(t => t.id)).toEqual(['1', '2']);
+    });
+
+    test('should list tasks of unknown projects last instead of failing', () => {
+      const tasks = [
+        { id: '1', content: 'Orphan', project_id: 'gone', subtasks: [] },
+        { id: '2', content: 'Report', project_id: '456', subtasks: [] }
+      ];
+
+      const result = buildPlainTextForTasks(tasks, mockProjects);
+
+      expect(result).toContain('Unknown project (gone):\n- Orphan');
+      expect(result.indexOf('Work Project:')).toBeLessThan(result.indexOf('Unknown project (gone):'));
+    });
+
+    test('should mark archived projects in their title', () => {
+      const groups = groupTasksByProjectAndSection(
+        [{ id: '1', content: 'Old', project_id: 'a1' }],
+        [{ id: 'a1', name: 'Old clients', is_archived: true }]
+      );
+
+      expect(groups[0].projectName).toBe('Old clients (archived)');
+    });
+
+    test('should render comments and attachments beneath the task', () => {
+      const mockTasks = [{
+        id: '1',
+        content: 'Discussed',
+        project_id: '456',
+        omitted_comment_count: 2,
+        comments: [
+          { id: 'c1', author_name: 'Alice', content: 'Line one\nLine two' },
+          { id: 'c2', content: '', attachment: { file_name: 'plan.pdf', file_url: 'https://files.example/plan.pdf' } }
+        ],
+        subtasks: []
+      }];
+
+      const lines = buildPlainTextForTasks(mockTasks, mockProjects).split('\n');
+      const taskLine = lines.indexOf('- Discussed');
+
+      expect(lines.slice(taskLine, taskLine + 6)).toEqual([
+        '- Discussed',
+        '  (2 earlier comments not shown)',
+        '  Comment (Alice): Line one',
+        '    Line two',
+        '  Comment',
+        '    Attachment: plan.pdf <https://files.example/plan.pdf>'
+      ]);
+    });
+
+    test('should add a Completed section grouped by project and day', () => {
+      const completed = [
+        { id: 'c1', content: 'Shipped release', project_id: '456', completed_at: '2024-01-15T18:00:00Z' },
+        { id: 'c2', content: 'Wrote notes', project_id: '456', completed_at: '2024-01-14T18:00:00Z' }
+      ];
+
+      const lines = buildPlainTextForTasks([], mockProjects, [], completed).split('\n');
+      const start = lines.indexOf('Completed:');
+
+      expect(start).toBeGreaterThan(-1);
+      expect(lines[start + 1]).toBe('Work Project:');
+      expect(lines[start + 2]).toMatch(/^  \S.*15.*:$/);
+      expect(lines[start + 3]).toBe('  [x] Shipped release');
+      expect(lines[start + 4]).toMatch(/^  \S.*14.*:$/);
+      expect(lines[start + 5]).toBe('  [x] Wrote notes');
+    });
+
+    test('should mark recurring tasks and count them in the header', () => {
+      const mockTasks = [
+        { id: '1', content: 'Pay rent', project_id: '456', due: { date: '2024-02-01', is_recurring: true, string: 'every month' }, subtasks: [] },
+        { id: '2', content: 'Book flights', project_id: '456', subtasks: [] }
+      ];
+
+      const result = buildPlainTextForTasks(mockTasks, mockProjects);
+
+      expect(result).toMatch(/- Pay rent \(Due: .+\) \u21bb every month/);
+      expect(result).toContain('Recurring: 1, one-off: 1');
+    });
+
+    test('should show deadlines after the due date', () => {
+      const mockTasks = [
+        { id: '1', content: 'File taxes', project_id: '456', deadline: { date: '2024-04-15' }, subtasks: [] }
+      ];
+
+      const result = buildPlainTextForTasks(mockTasks, mockProjects);
+
+      expect(result).toMatch(/- File taxes \(Deadline: .+\)/);
+    });
+
+    test('should show assignees on the task line and count them in the header', () => {
+      const mockTasks = [
+        { id: '1', content: 'Review', project_id: '456', assignee_id: 'u2', assignee_name: 'Bob', subtasks: [] },
+        { id: '2', content: 'Draft', project_id: '456', subtasks: [] }
+      ];
+
+      const result = buildPlainTextForTasks(mockTasks, mockProjects);
+
+      expect(result).toContain('- Review @Bob');
+      expect(result).toContain('- Draft\n');
+      expect(result).toContain('Assignees: Bob 1, unassigned 1');
+    });
+
     test('should handle empty task lists', () => {
       const result = buildPlainTextForTasks([], mockProjects);
 
@@ -321,6 +540,7 @@ describe('Data Processing', () => {
         appendText: jest.fn(),
         editAsText: jest.fn(() => mockTextElement),
         setIndentStart: jest.fn(),
+        setNestingLevel: jest.fn(),
         getText: jest.fn(() => 'existing content')
       };
     });
@@ -376,6 +596,27 @@ describe('Data Processing', () => {
       expect(mockListItem.setIndentStart).toHaveBeenCalledWith(36);
     });
 
+    test('should nest deeper subtasks by depth', () => {
+      const mockTask = {
+        content: 'Grandchild',
+        priority: 1,
+        labels: [],
+        due: null
+      };
+
+      formatListItem(mockListItem, mockTask, 2);
+
+      expect(mockListItem.setNestingLevel).toHaveBeenCalledWith(2);
+      expect(mockListItem.setIndentStart).toHaveBeenCalledWith(72);
+    });
+
+    test('should not indent top-level tasks', () => {
+      formatListItem(mockListItem, { content: 'Top-level', labels: [] });
+
+      expect(mockListItem.setNestingLevel).not.toHaveBeenCalled();
+      expect(mockListItem.setIndentStart).not.toHaveBeenCalled();
+    });
+
     test('should format due dates correctly', () => {
       const timedTask = {
         content: 'Timed task',
@@ -413,6 +654,39 @@ describe('Data Processing', () => {
       expect(mockListItem.appendText).toHaveBeenCalledWith(' [urgent, work, important]');
     });
 
+    test('should show the deadline in red', () => {
+      const textElement = {
+        getText: jest.fn(() => ''),
+        setBold: jest.fn(),
+        setForegroundColor: jest.fn()
+      };
+      let text = '';
+      const listItem = {
+        appendText: jest.fn(piece => { text += piece; }),
+        getText: jest.fn(() => text),
+        editAsText: jest.fn(() => textElement)
+      };
+
+      formatListItem(listItem, { content: 'File taxes', deadline: { date: '2024-04-15' } });
+
+      const deadlineStart = text.indexOf('(Deadline:');
+      expect(deadlineStart).toBeGreaterThan(0);
+      expect(textElement.setForegroundColor).toHaveBeenCalledWith(deadlineStart, text.length - 1, '#d93025');
+    });
+
+    test('should append the assignee', () => {
+      const mockTask = {
+        content: 'Assigned task',
+        priority: 1,
+        assignee_id: 'u2',
+        assignee_name: 'Bob'
+      };
+
+      formatListItem(mockListItem, mockTask);
+
+      expect(mockListItem.appendText).toHaveBeenCalledWith(' @Bob');
+    });
+
     test('should handle empty labels array', () => {
       const mockTask = {
         content: 'Task without labels',
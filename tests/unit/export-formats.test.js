@@ -49,7 +49,8 @@ describe('Export Formats', () => {
             deleteText: jest.fn(),
             insertText: jest.fn()
           })),
-          setIndentStart: jest.fn()
+          setIndentStart: jest.fn(),
+          setNestingLevel: jest.fn()
         }))
       };
 
@@ -165,6 +166,89 @@ describe('Export Formats', () => {
       expect(mockBody.appendListItem).toHaveBeenCalledTimes(3);
     });
 
+    test('should write section headings after unsectioned tasks', () => {
+      PropertiesService.setMockProperties({ 'DOC_ID': 'doc123' });
+      const headings = [];
+      mockBody.appendParagraph.mockImplementation(text => ({
+        setHeading: jest.fn(level => { headings.push([text, level]); return mockBody; }),
+        setItalic: jest.fn(() => mockBody)
+      }));
+      mockBody.appendListItem.mockImplementation(() => ({
+        appendText: jest.fn(),
+        getText: jest.fn(() => ''),
+        editAsText: jest.fn(() => ({ getText: jest.fn(() => ''), setBold: jest.fn(), setItalic: jest.fn() })),
+        setIndentStart: jest.fn(),
+        setNestingLevel: jest.fn()
+      }));
+
+      const tasks = [
+        { id: '1', content: 'Later', project_id: 'p1', section_id: 's2', subtasks: [] },
+        { id: '2', content: 'Sooner', project_id: 'p1', section_id: 's1', subtasks: [] }
+      ];
+      const sections = [
+        { id: 's2', project_id: 'p1', name: 'Later', order: 2 },
+        { id: 's1', project_id: 'p1', name: 'Sooner', order: 1 }
+      ];
+
+      writeTasksToDoc(tasks, [{ id: 'p1', name: 'Work' }], sections);
+
+      expect(headings.filter(h => h[1] === DocumentApp.ParagraphHeading.HEADING3)).toEqual([
+        ['Sooner', DocumentApp.ParagraphHeading.HEADING3],
+        ['Later', DocumentApp.ParagraphHeading.HEADING3]
+      ]);
+    });
+
+    test('should indent comments under the task and link attachments', () => {
+      const paragraphs = [];
+      const body = {
+        appendParagraph: jest.fn(text => {
+          const paragraph = {
+            text: text,
+            setIndentStart: jest.fn(),
+            setIndentFirstLine: jest.fn(),
+            setItalic: jest.fn(),
+            setLinkUrl: jest.fn(),
+            editAsText: jest.fn(() => ({ setItalic: jest.fn() }))
+          };
+          paragraphs.push(paragraph);
+          return paragraph;
+        })
+      };
+      const task = {
+        id: '1',
+        comments: [{
+          id: 'c1',
+          author_name: 'Alice',
+          content: 'See attached',
+          attachment: { file_name: 'plan.pdf', file_url: 'https://files.example/plan.pdf' }
+        }]
+      };
+
+      appendCommentsToDoc(body, task, 1);
+
+      expect(paragraphs.map(p => p.text)).toEqual(['Comment (Alice): See attached', 'Attachment: plan.pdf']);
+      expect(paragraphs[0].setIndentStart).toHaveBeenCalledWith(36);
+      expect(paragraphs[1].setLinkUrl).toHaveBeenCalledWith('https://files.example/plan.pdf');
+    });
+
+    test('should strike through completed tasks under a Completed heading', () => {
+      PropertiesService.setMockProperties({ 'DOC_ID': 'doc123' });
+      const completedItems = [];
+      mockBody.appendListItem.mockImplementation(text => {
+        const textElement = { setStrikethrough: jest.fn() };
+        completedItems.push({ text: text, textElement: textElement });
+        return { editAsText: jest.fn(() => textElement) };
+      });
+
+      writeTasksToDoc([], [{ id: 'p1', name: 'Work' }], [], [
+        { id: 'c1', content: 'Shipped', project_id: 'p1', completed_at: '2024-01-15T18:00:00Z' }
+      ]);
+
+      expect(mockBody.appendParagraph).toHaveBeenCalledWith('Completed');
+      expect(completedItems.map(item => item.text)).toEqual(['Shipped']);
+      expect(completedItems[0].textElement.setStrikethrough).toHaveBeenCalledWith(true);
+    });
+
     test('should handle tasks without subtasks', () => {
       const mockTasks = [
         {
@@ -246,6 +330,448 @@ describe('Export Formats', () => {
     });
   });
 
+  describe('buildMarkdownForTasks() - Markdown Export', () => {
+    const projects = [{ id: '456', name: 'Work' }];
+    const sections = [{ id: 's1', project_id: '456', name: 'Later', order: 1 }];
+
+    test('should write project headings and nested task lists', () => {
+      const tasks = [
+        {
+          id: '123', content: 'Plan launch', project_id: '456', priority: 4, labels: ['urgent', 'q3'],
+          url: 'https://app.todoist.com/app/task/123',
+          subtasks: [{ id: '124', content: 'Book room', project_id: '456', labels: [], subtasks: [] }]
+        },
+        { id: '125', content: 'Tidy backlog', project_id: '456', section_id: 's1', labels: [], subtasks: [] }
+      ];
+
+      const lines = buildMarkdownForTasks(tasks, projects, sections).split('\n');
+
+      expect(lines[0]).toMatch(/^# Todoist Tasks for /);
+      expect(lines).toContain('## Work');
+      expect(lines).toContain('### Later');
+      expect(lines).toContain('- [ ] (P1) **Plan launch** `@urgent` `@q3` [↗](https://app.todoist.com/app/task/123)');
+      expect(lines).toContain('  - [ ] **Book room**');
+      expect(lines.indexOf('- [ ] **Tidy backlog**')).toBeGreaterThan(lines.indexOf('### Later'));
+    });
+
+    test('should indent descriptions and comments under the task', () => {
+      const tasks = [{
+        id: '123', content: 'Write report', project_id: '456', labels: [],
+        description: 'First paragraph\n\nSecond paragraph',
+        comments: [{ content: 'Looks good', attachment: { file_name: 'draft.pdf', file_url: 'https://example.com/draft.pdf' } }],
+        subtasks: []
+      }];
+
+      const markdown = buildMarkdownForTasks(tasks, projects);
+
+      expect(markdown).toContain('- [ ] **Write report**\n\n  First paragraph\n\n  Second paragraph\n\n');
+      expect(markdown).toContain('  > _Comment_: Looks good\n  > Attachment: [draft.pdf](https://example.com/draft.pdf)');
+    });
+
+    test('should check off completed tasks and write the file through Drive', () => {
+      const mockFile = { setContent: jest.fn() };
+      DriveApp.getFileById.mockReturnValue(mockFile);
+      PropertiesService.setMockProperties({
+        'MARKDOWN_FILE_ID': 'https://drive.google.com/file/d/1MdAbCdEFghIJklMNopQRstuVWxyz12/view',
+        'TODOIST_TOKEN': 'test-token-123'
+      });
+      const completedTasks = [{ id: '9', content: 'Ship it', project_id: '456', completed_at: '2024-01-15T12:00:00Z' }];
+
+      syncTodoistToMarkdownFile({ tasks: [], projects: projects, sections: [], completedTasks: completedTasks });
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('1MdAbCdEFghIJklMNopQRstuVWxyz12');
+      const markdown = mockFile.setContent.mock.calls[0][0];
+      expect(markdown).toContain('No tasks due today.');
+      expect(markdown).toContain('## Completed');
+      expect(markdown).toContain('- [x] Ship it');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to Markdown file');
+    });
+  });
+
+  describe('buildHtmlForTasks() - HTML Export', () => {
+    const projects = [{ id: '456', name: 'Work' }];
+
+    test('should write a self-contained page with a collapsible section per project', () => {
+      const tasks = [{
+        id: '123', content: 'Plan launch', project_id: '456', priority: 4, labels: ['urgent'],
+        url: 'https://app.todoist.com/app/task/123',
+        subtasks: [{ id: '124', content: 'Book room', project_id: '456', priority: 1, labels: [], subtasks: [] }]
+      }];
+
+      const html = buildHtmlForTasks(tasks, projects);
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<style>');
+      expect(html).not.toContain('<script');
+      expect(html).toContain('<details class="project" open>\n<summary><h2>Work</h2></summary>');
+      expect(html).toContain('<li class="task p1"><span class="priority">P1</span> <strong class="content">Plan launch</strong>');
+      expect(html).toContain('<span class="label">@urgent</span>');
+      expect(html).toContain('<a href="https://app.todoist.com/app/task/123" title="Open in Todoist">↗</a>');
+      expect(html).toContain('<ul class="tasks">\n<li class="task p4"><strong class="content">Book room</strong>');
+    });
+
+    test('should convert Todoist Markdown and escape everything else', () => {
+      const tasks = [{
+        id: '123', content: 'Read [the spec](https://example.com/spec?a=1&b=2) **now** <b>', project_id: '456', labels: [],
+        description: 'Use *care*\n\n[bad](javascript:void)', subtasks: []
+      }];
+
+      const html = buildHtmlForTasks(tasks, projects);
+
+      expect(html).toContain('Read <a href="https://example.com/spec?a=1&amp;b=2">the spec</a> <strong>now</strong> &lt;b&gt;');
+      expect(html).toContain('<p class="description">Use <em>care</em></p>');
+      expect(html).toContain('<p class="description">bad</p>');
+      expect(html).not.toContain('javascript:');
+    });
+
+    test('should write the page through Drive', () => {
+      const mockFile = { setContent: jest.fn() };
+      DriveApp.getFileById.mockReturnValue(mockFile);
+      PropertiesService.setMockProperties({ 'HTML_FILE_ID': 'html123', 'TODOIST_TOKEN': 'test-token-123' });
+
+      syncTodoistToHtmlFile({ tasks: [], projects: projects, sections: [], completedTasks: [] });
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('html123');
+      expect(mockFile.setContent).toHaveBeenCalledWith(expect.stringContaining('<p>No tasks due today.</p>'));
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to HTML file');
+    });
+  });
+
+  describe('buildCsvForTasks() - CSV Export', () => {
+    const projects = [{ id: '456', name: 'Work' }];
+    const sections = [{ id: 's1', project_id: '456', name: 'Later', order: 1 }];
+    const tasks = [
+      {
+        id: '123', content: 'Plan launch, phase "one"', description: 'Line one\nLine two', project_id: '456',
+        priority: 4, labels: ['urgent', 'q3'], comment_count: 2, created_at: '2024-01-01T10:00:00Z',
+        due: { date: '2024-01-15', datetime: '2024-01-15T09:00:00Z' }, url: 'https://app.todoist.com/app/task/123',
+        subtasks: [{ id: '124', parent_id: '123', content: 'Book room', project_id: '456', priority: 1, labels: [], subtasks: [] }]
+      },
+      { id: '125', content: 'Tidy backlog', project_id: '456', section_id: 's1', priority: 2, labels: [], subtasks: [] }
+    ];
+
+    test('should write a row per task and sub-task with RFC 4180 quoting', () => {
+      const csv = buildCsvForTasks(tasks, projects, sections);
+
+      expect(csv.split('\r\n')).toEqual([
+        'id,parent_id,project,section,content,description,priority,due_date,due_datetime,labels,comment_count,created_at,url',
+        '123,,Work,,"Plan launch, phase ""one""","Line one\nLine two",P1,2024-01-15,2024-01-15T09:00:00Z,"urgent, q3",2,2024-01-01T10:00:00Z,https://app.todoist.com/app/task/123',
+        '124,123,Work,,Book room,,P4,,,,0,,',
+        '125,,Work,Later,Tidy backlog,,P3,,,,0,,',
+        ''
+      ]);
+    });
+
+    test('should write only the columns listed in CSV_COLUMNS', () => {
+      PropertiesService.setMockProperties({ 'CSV_COLUMNS': 'content, priority, section' });
+
+      const csv = buildCsvForTasks(tasks, projects, sections);
+
+      expect(csv.split('\r\n').slice(0, 2)).toEqual(['content,priority,section', '"Plan launch, phase ""one""",P1,']);
+    });
+
+    test('should escape text that a spreadsheet would run as a formula', () => {
+      PropertiesService.setMockProperties({ 'CSV_COLUMNS': 'content, description, comment_count' });
+      const risky = [
+        { id: '1', content: '=HYPERLINK("http://example.com")', description: '+1 555 0100', project_id: '456', priority: 1, labels: [], subtasks: [] },
+        { id: '2', content: '-check logs', description: '@here', project_id: '456', priority: 1, labels: [], subtasks: [] },
+        { id: '3', content: 'Budget = 2k', project_id: '456', priority: 1, labels: [], subtasks: [] }
+      ];
+
+      const csv = buildCsvForTasks(risky, projects, sections);
+
+      expect(csv.split('\r\n')).toEqual([
+        'content,description,comment_count',
+        '"\'=HYPERLINK(""http://example.com"")",\'+1 555 0100,0',
+        "'-check logs,'@here,0",
+        'Budget = 2k,,0',
+        ''
+      ]);
+    });
+
+    test('should leave descriptions that start with a Markdown list as they are', () => {
+      PropertiesService.setMockProperties({ 'CSV_COLUMNS': 'content, description' });
+      const notes = [
+        { id: '1', content: 'Pack', description: '- passport\n- charger', project_id: '456', priority: 1, labels: [], subtasks: [] },
+        { id: '2', content: 'Review', description: '+ add tests', project_id: '456', priority: 1, labels: [], subtasks: [] }
+      ];
+
+      const csv = buildCsvForTasks(notes, projects, sections);
+
+      expect(csv.split('\r\n')).toEqual([
+        'content,description',
+        'Pack,"- passport\n- charger"',
+        'Review,+ add tests',
+        ''
+      ]);
+    });
+
+    test('should write the file through Drive', () => {
+      const mockFile = { setContent: jest.fn() };
+      DriveApp.getFileById.mockReturnValue(mockFile);
+      PropertiesService.setMockProperties({ 'CSV_FILE_ID': 'csv123', 'TODOIST_TOKEN': 'test-token-123' });
+
+      syncTodoistToCsvFile({ tasks: tasks, projects: projects, sections: sections, completedTasks: [] });
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('csv123');
+      expect(mockFile.setContent.mock.calls[0][0].split('\r\n')).toHaveLength(5);
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to CSV file');
+    });
+  });
+
+  describe('writeSnapshotToSheet() - Google Sheets Export', () => {
+    const projects = [{ id: '456', name: 'Work', order: 2 }, { id: '789', name: 'Home', order: 1 }];
+    const tasks = [
+      { id: '123', content: 'Plan launch', project_id: '456', priority: 4, labels: [], due: { date: '2024-01-15' }, subtasks: [] },
+      { id: '124', content: 'Water plants', project_id: '789', priority: 1, labels: [], due: { date: '2024-01-16' }, subtasks: [] },
+      { id: '125', content: 'Review budget', project_id: '456', priority: 1, labels: [], due: { date: '2024-01-15' }, subtasks: [] }
+    ];
+
+    beforeEach(() => {
+      PropertiesService.setMockProperties({
+        'SHEET_ID': 'https://docs.google.com/spreadsheets/d/1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh/edit#gid=0',
+        'CSV_COLUMNS': 'id, content, priority, due_date, comment_count'
+      });
+    });
+
+    test('should write a filterable Tasks tab with overdue and P1 highlighting', () => {
+      writeSnapshotToSheet(buildSnapshotModel({ tasks: tasks, projects: projects }));
+
+      const sheetId = '1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh';
+      expect(SpreadsheetApp.getSheetValues(sheetId, 'Tasks')).toEqual([
+        ['id', 'content', 'priority', 'due_date', 'comment_count'],
+        ['124', 'Water plants', 'P4', '2024-01-16', 0],
+        ['123', 'Plan launch', 'P1', '2024-01-15', 0],
+        ['125', 'Review budget', 'P4', '2024-01-15', 0]
+      ]);
+
+      const tab = SpreadsheetApp.getSpreadsheetState(sheetId).sheets.Tasks;
+      expect(tab.frozenRows).toBe(1);
+      expect(tab.filter).toEqual({ row: 1, column: 1, numRows: 4, numColumns: 5 });
+      expect(tab.formats['2:1']).toBe('@');
+      expect(tab.formats['2:5']).toBe('0');
+      expect(tab.conditionalFormatRules.map(rule => [rule.formula, rule.background])).toEqual([
+        ['=AND($D2<>"", DATEVALUE($D2)<TODAY())', '#f4cccc'],
+        ['=$C2="P1"', '#fce5cd']
+      ]);
+    });
+
+    test('should write project and due day counts to the Summary tab', () => {
+      writeSnapshotToSheet(buildSnapshotModel({ tasks: tasks, projects: projects }));
+
+      expect(SpreadsheetApp.getSheetValues('1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh', 'Summary')).toEqual([
+        ['Project', 'Tasks'],
+        ['Home', 1],
+        ['Work', 2],
+        ['', ''],
+        ['Due date', 'Tasks'],
+        ['2024-01-15', 2],
+        ['2024-01-16', 1]
+      ]);
+    });
+
+    test('should count the same tasks in the Summary tab as on the Tasks tab', () => {
+      const withSubtask = [
+        Object.assign({}, tasks[1], { subtasks: [{ id: '126', parent_id: '124', content: 'Buy soil', project_id: '789', priority: 1, labels: [], subtasks: [] }] })
+      ];
+      // rawTasks only holds tasks due in the window; the undated sub-task is still a Tasks row
+      writeSnapshotToSheet(buildSnapshotModel({ tasks: withSubtask, rawTasks: [tasks[1]], projects: projects }));
+
+      const sheetId = '1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh';
+      expect(SpreadsheetApp.getSheetValues(sheetId, 'Tasks')).toHaveLength(3);
+      expect(SpreadsheetApp.getSheetValues(sheetId, 'Summary').slice(0, 2)).toEqual([['Project', 'Tasks'], ['Home', 2]]);
+    });
+
+    test('should list each person in the team Summary tab', () => {
+      writeSnapshotToSheet(buildTeamSnapshotModel([
+        { name: 'Alice', dueCounts: { overdue: 1, today: 2, upcoming: 0 }, error: null, data: { tasks: tasks, projects: projects } },
+        { name: 'Bob', dueCounts: null, error: 'Status: 401', data: null }
+      ]));
+
+      const taskRows = SpreadsheetApp.getSheetValues('1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh', 'Tasks');
+      expect(taskRows[taskRows.length - 1]).toEqual(['Bob', '', 'Could not load tasks: Status: 401', '', '', '']);
+      const summary = SpreadsheetApp.getSheetValues('1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh', 'Summary');
+      expect(summary.slice(0, 6)).toEqual([
+        ['Member', 'Overdue', 'Today', 'Upcoming', 'Total tasks'],
+        ['Alice', 1, 2, 0, 3],
+        ['', '', '', '', ''],
+        ['Member', 'Project', 'Tasks', '', ''],
+        ['Alice', 'Home', 1, '', ''],
+        ['Alice', 'Work', 2, '', '']
+      ]);
+    });
+
+    test('should rewrite existing tabs on the next run', () => {
+      const model = buildSnapshotModel({ tasks: tasks, projects: projects });
+      writeSnapshotToSheet(model);
+      const sheetId = '1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh';
+      const tab = SpreadsheetApp.getSpreadsheetState(sheetId).sheets.Tasks;
+      writeSnapshotToSheet(buildSnapshotModel({ tasks: [], projects: projects }));
+
+      // The same tab is kept, so references to it from other tabs stay valid
+      expect(SpreadsheetApp.getSpreadsheetState(sheetId).sheets.Tasks).toBe(tab);
+      expect(SpreadsheetApp.getSheetValues(sheetId, 'Tasks')).toEqual([['id', 'content', 'priority', 'due_date', 'comment_count']]);
+      expect(SpreadsheetApp.getSpreadsheetState(sheetId).sheets.Tasks.conditionalFormatRules).toEqual([]);
+      expect(Object.keys(SpreadsheetApp.getSpreadsheetState(sheetId).sheets)).toEqual(['Tasks', 'Summary']);
+    });
+
+    test('should keep the previous tabs when the snapshot cannot be written', () => {
+      const sheetId = '1SdEfGhIjKlMnOpQrStUvWxYz0123456789abcdefgh';
+      writeSnapshotToSheet(buildSnapshotModel({ tasks: tasks, projects: projects }));
+      const previous = SpreadsheetApp.getSheetValues(sheetId, 'Tasks');
+      const broken = Object.assign(buildSnapshotModel({ tasks: tasks, projects: projects }), { statistics: null });
+
+      expect(() => writeSnapshotToSheet(broken)).toThrow();
+
+      expect(SpreadsheetApp.getSheetValues(sheetId, 'Tasks')).toEqual(previous);
+    });
+  });
+
+  describe('buildIcsForTasks() - iCalendar Export', () => {
+    const projects = [{ id: '456', name: 'Work' }];
+    // Unfolds the calendar and splits it into content lines
+    const contentLines = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+    test('should write all-day and timed to-dos with a matching VTIMEZONE', () => {
+      const tasks = [
+        {
+          id: '123', content: 'File taxes', project_id: '456', priority: 4, labels: ['money', 'home'],
+          due: { date: '2024-01-15' }, url: 'https://app.todoist.com/app/task/123',
+          subtasks: [{ id: '124', content: 'Find receipts', project_id: '456', priority: 1, labels: [], subtasks: [] }]
+        },
+        {
+          id: '125', content: 'Call bank', project_id: '456', priority: 3, labels: [],
+          due: { date: '2024-07-01', datetime: '2024-07-01T15:00:00Z' }, duration: { amount: 30, unit: 'minute' }, subtasks: []
+        }
+      ];
+
+      const ics = buildIcsForTasks(tasks, projects);
+      const lines = contentLines(ics);
+
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines.slice(0, 2)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0']);
+      expect(lines).toEqual(expect.arrayContaining([
+        'UID:todoist-task-123@todoist-snapshot',
+        'DTSTART;VALUE=DATE:20240115',
+        'PRIORITY:1',
+        'CATEGORIES:money,home',
+        'URL:https://app.todoist.com/app/task/123',
+        'RELATED-TO:todoist-task-123@todoist-snapshot',
+        'DUE;VALUE=DATE:20240116',
+        'DTSTART;TZID=America/Chicago:20240701T100000',
+        'DUE;TZID=America/Chicago:20240701T103000',
+        'PRIORITY:5',
+        'STATUS:NEEDS-ACTION'
+      ]));
+      expect(lines).not.toContain('DURATION:PT30M');
+      expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(3);
+
+      // A July-only calendar still describes both halves of the year, with their yearly rules
+      const vtimezone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+      expect(vtimezone).toEqual([
+        'BEGIN:VTIMEZONE', 'TZID:America/Chicago',
+        'BEGIN:DAYLIGHT', 'DTSTART:20230312T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'TZOFFSETFROM:-0600', 'TZOFFSETTO:-0500', 'END:DAYLIGHT',
+        'BEGIN:STANDARD', 'DTSTART:20231105T020000', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0600', 'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+    });
+
+    test('should describe zones with a last-Sunday rule or without daylight saving time', () => {
+      expect(buildIcsTimezone('Europe/Berlin', [new Date('2024-01-10T09:00:00Z')])).toEqual([
+        'BEGIN:VTIMEZONE', 'TZID:Europe/Berlin',
+        'BEGIN:DAYLIGHT', 'DTSTART:20230326T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'END:DAYLIGHT',
+        'BEGIN:STANDARD', 'DTSTART:20231029T030000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+      expect(buildIcsTimezone('Asia/Tokyo', [new Date('2024-01-10T09:00:00Z')])).toEqual([
+        'BEGIN:VTIMEZONE', 'TZID:Asia/Tokyo',
+        'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', 'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+    });
+
+    test('should make to-dos with a duration due when the duration ends', () => {
+      const tasks = [
+        { id: '1', content: 'Offsite', project_id: '456', labels: [], subtasks: [], due: { date: '2024-03-30' }, duration: { amount: 2, unit: 'day' } },
+        // Runs past the switch to daylight saving time at 2am
+        { id: '2', content: 'Night shift', project_id: '456', labels: [], subtasks: [],
+          due: { date: '2024-03-10', datetime: '2024-03-10T07:30:00Z' }, duration: { amount: 60, unit: 'minute' } }
+      ];
+
+      const lines = contentLines(buildIcsForTasks(tasks, projects));
+
+      expect(lines).toEqual(expect.arrayContaining([
+        'DTSTART;VALUE=DATE:20240330',
+        'DUE;VALUE=DATE:20240401',
+        'DTSTART;TZID=America/Chicago:20240310T013000',
+        'DUE;TZID=America/Chicago:20240310T033000'
+      ]));
+      expect(lines.some(line => line.startsWith('DURATION:'))).toBe(false);
+    });
+
+    test('should give timed to-dos without a duration only their due time', () => {
+      const tasks = [
+        { id: '1', content: 'Call bank', project_id: '456', labels: [], subtasks: [],
+          due: { date: '2024-07-01', datetime: '2024-07-01T15:00:00Z' } },
+        { id: '2', content: 'Water plants', project_id: '456', labels: [], subtasks: [],
+          due: { date: '2024-07-01', datetime: '2024-07-01T13:00:00Z', is_recurring: true, string: 'every day' }, projected_dates: ['2024-07-02'] }
+      ];
+
+      const lines = contentLines(buildIcsForTasks(tasks, projects));
+      const todo = id => {
+        const start = lines.indexOf('UID:todoist-task-' + id + '@todoist-snapshot');
+        return lines.slice(start, lines.indexOf('END:VTODO', start));
+      };
+
+      expect(todo('1')).toContain('DUE;TZID=America/Chicago:20240701T100000');
+      expect(todo('1').some(line => line.startsWith('DTSTART'))).toBe(false);
+      // Occurrences repeat the DTSTART, so a recurring to-do keeps it instead
+      expect(todo('2')).toEqual(expect.arrayContaining([
+        'DTSTART;TZID=America/Chicago:20240701T080000',
+        'RDATE;TZID=America/Chicago:20240702T080000'
+      ]));
+      expect(todo('2').some(line => line.startsWith('DUE'))).toBe(false);
+    });
+
+    test('should escape text and fold long lines at 75 octets', () => {
+      const description = 'Bring: passport; tickets, and the café receipts\n' + 'ünïcödé '.repeat(20);
+      const tasks = [{ id: '123', content: 'Trip', description: description, project_id: '456', labels: [], subtasks: [] }];
+
+      const ics = buildIcsForTasks(tasks, projects);
+
+      ics.split('\r\n').forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+      expect(contentLines(ics)).toContain('DESCRIPTION:Bring: passport\\; tickets\\, and the café receipts\\n' + 'ünïcödé '.repeat(20));
+    });
+
+    test('should write events for dated tasks only when ICS_COMPONENT is VEVENT', () => {
+      const mockFile = { setContent: jest.fn() };
+      DriveApp.getFileById.mockReturnValue(mockFile);
+      PropertiesService.setMockProperties({ 'ICS_FILE_ID': 'ics123', 'ICS_COMPONENT': 'vevent', 'TODOIST_TOKEN': 'test-token-123' });
+      const tasks = [
+        {
+          id: '123', content: 'Stand-up', project_id: '456', labels: [], subtasks: [],
+          due: { date: '2024-01-15', is_recurring: true, string: 'every day' }, projected_dates: ['2024-01-16', '2024-01-17']
+        },
+        { id: '124', content: 'Someday', project_id: '456', labels: [], subtasks: [] }
+      ];
+
+      syncTodoistToIcsFile({ tasks: tasks, projects: projects, sections: [], completedTasks: [] });
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('ics123');
+      const lines = contentLines(mockFile.setContent.mock.calls[0][0]);
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+      expect(lines).not.toContain('BEGIN:VTODO');
+      expect(lines).toContain('RDATE;VALUE=DATE:20240116,20240117');
+      expect(lines.some(line => line.startsWith('DUE'))).toBe(false);
+      expect(lines).not.toContain('SUMMARY:Someday');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to calendar file');
+    });
+  });
+
   describe('writeTasksToJsonFile() - JSON Export', () => {
     let mockFile;
 
@@ -257,6 +783,136 @@ describe('Export Formats', () => {
       DriveApp.getFileById.mockReturnValue(mockFile);
     });
 
+    test('should stamp the configured API version', () => {
+      PropertiesService.setMockProperties({
+        'JSON_FILE_ID': 'json123',
+        'TODOIST_API_VERSION': 'v1'
+      });
+
+      writeTasksToJsonFile([], []);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      expect(parsedJson.exportMetadata.apiVersion).toBe('v1');
+    });
+
+    test('should export nested sub-tasks as a children tree', () => {
+      const rawTasks = [{ id: '1', content: 'Parent', priority: 1 }];
+      const taskTree = [
+        {
+          id: '1',
+          content: 'Parent',
+          priority: 1,
+          subtasks: [
+            { id: '2', content: 'Child', subtasks: [{ id: '3', content: 'Grandchild', subtasks: [] }] }
+          ]
+        }
+      ];
+
+      writeTasksToJsonFile(rawTasks, [], taskTree);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+
+      expect(parsedJson.data.tasks).toEqual(rawTasks);
+      expect(parsedJson.data.taskTree[0]).not.toHaveProperty('subtasks');
+      expect(parsedJson.data.taskTree[0].children[0].content).toBe('Child');
+      expect(parsedJson.data.taskTree[0].children[0].children[0].content).toBe('Grandchild');
+      expect(parsedJson.data.taskTree[0].children[0].children[0].children).toEqual([]);
+      expect(parsedJson.statistics.tasks.subtaskCount).toBe(2);
+    });
+
+    test('should group tasks by project and section', () => {
+      const tasks = [
+        { id: '1', content: 'Loose', project_id: 'p1', priority: 1 },
+        { id: '2', content: 'Sectioned', project_id: 'p1', section_id: 's1', priority: 1 }
+      ];
+      const projects = [{ id: 'p1', name: 'Work' }];
+      const sections = [{ id: 's1', project_id: 'p1', name: 'Waiting on', order: 1 }];
+
+      writeTasksToJsonFile(tasks, projects, null, sections);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      const group = parsedJson.data.taskGroups[0];
+
+      expect(group.projectName).toBe('Work');
+      expect(group.taskIds).toEqual(['1']);
+      expect(group.sections[0].name).toBe('Waiting on');
+      expect(group.sections[0].taskIds).toEqual(['2']);
+      expect(parsedJson.data.taskTree.map(t => t.id)).toEqual(['1', '2']);
+      expect(parsedJson.data.sections).toEqual(sections);
+      expect(parsedJson.statistics.sections.total).toBe(1);
+    });
+
+    test('should embed comments in the task tree', () => {
+      const taskTree = [{
+        id: '1',
+        content: 'Discussed',
+        comments: [{ id: 'c1', content: 'Looks good' }],
+        subtasks: [{ id: '2', content: 'Child', comments: [{ id: 'c2', content: 'Done' }], subtasks: [] }]
+      }];
+
+      writeTasksToJsonFile([{ id: '1', content: 'Discussed' }], [], taskTree);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      expect(parsedJson.data.taskTree[0].comments[0].content).toBe('Looks good');
+      expect(parsedJson.data.taskTree[0].children[0].comments[0].content).toBe('Done');
+      expect(parsedJson.statistics.tasks.commentsIncluded).toBe(2);
+    });
+
+    test('should export completed tasks as a separate array', () => {
+      const completed = [{ id: 'c1', content: 'Shipped', completed_at: '2024-01-15T18:00:00Z' }];
+
+      writeTasksToJsonFile([], [], null, [], completed);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      expect(parsedJson.data.completedTasks).toEqual(completed);
+      expect(parsedJson.data.tasks).toEqual([]);
+      expect(parsedJson.statistics.completedTasks.total).toBe(1);
+    });
+
+    test('should summarize deadlines and durations', () => {
+      const tasks = [
+        { id: '1', deadline: { date: '2000-01-01' }, duration: { amount: 45, unit: 'minute' } },
+        { id: '2', deadline: { date: '2999-01-01' }, duration: { amount: 2, unit: 'day' } },
+        { id: '3', duration: { amount: 15, unit: 'minute' } }
+      ];
+
+      writeTasksToJsonFile(tasks, []);
+
+      const stats = JSON.parse(mockFile.setContent.mock.calls[0][0]).statistics.tasks;
+      expect(stats.withDeadlines).toBe(2);
+      expect(stats.deadlinesPassed).toBe(1);
+      expect(stats.withDurations).toBe(3);
+      expect(stats.totalDurationMinutes).toBe(60);
+      expect(stats.totalDurationDays).toBe(2);
+    });
+
+    test('should count recurring and one-off tasks', () => {
+      const tasks = [
+        { id: '1', due: { date: '2024-01-15', is_recurring: true, string: 'every day' } },
+        { id: '2', due: { date: '2024-01-15' } },
+        { id: '3' }
+      ];
+
+      writeTasksToJsonFile(tasks, []);
+
+      const stats = JSON.parse(mockFile.setContent.mock.calls[0][0]).statistics.tasks;
+      expect(stats.recurring).toBe(1);
+      expect(stats.nonRecurring).toBe(2);
+    });
+
+    test('should count tasks by assignee', () => {
+      const tasks = [
+        { id: '1', assignee_id: 'u2', assignee_name: 'Bob' },
+        { id: '2', assignee_id: 'u2', assignee_name: 'Bob' },
+        { id: '3' }
+      ];
+
+      writeTasksToJsonFile(tasks, []);
+
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      expect(parsedJson.statistics.tasks.byAssignee).toEqual({ Bob: 2, unassigned: 1 });
+    });
+
     test('should write structured JSON with metadata', () => {
       const mockTasks = [
         {
@@ -378,6 +1034,169 @@ describe('Export Formats', () => {
     });
   });
 
+  describe('Team snapshot', () => {
+    const members = [
+      {
+        name: 'Alice',
+        dueCounts: { overdue: 1, today: 1, upcoming: 0 },
+        error: null,
+        data: {
+          tasks: [{ id: '1', content: 'Fix login', project_id: 'p1', labels: [], subtasks: [] }],
+          rawTasks: [{ id: '1', content: 'Fix login', project_id: 'p1', labels: [] }],
+          projects: [{ id: 'p1', name: 'Web' }],
+          sections: [],
+          completedTasks: []
+        }
+      },
+      { name: 'Bob', dueCounts: null, error: 'Status: 401', data: null }
+    ];
+    let mockFile;
+
+    beforeEach(() => {
+      mockFile = { setContent: jest.fn() };
+      DriveApp.getFileById.mockReturnValue(mockFile);
+    });
+
+    test('should write a section per person to the Google Doc', () => {
+      const paragraphs = [];
+      const mockBody = {
+        setText: jest.fn(),
+        appendParagraph: jest.fn(text => {
+          const paragraph = { text, heading: null, italic: false };
+          paragraphs.push(paragraph);
+          return {
+            setHeading: jest.fn(level => { paragraph.heading = level; }),
+            setItalic: jest.fn(value => { paragraph.italic = value; })
+          };
+        }),
+        appendListItem: jest.fn(() => ({
+          appendText: jest.fn(),
+          getText: jest.fn(() => ''),
+          editAsText: jest.fn(() => ({ getText: jest.fn(() => ''), setBold: jest.fn(), setItalic: jest.fn() })),
+          setIndentStart: jest.fn(),
+          setNestingLevel: jest.fn()
+        }))
+      };
+      DocumentApp.openById.mockReturnValue({ getBody: () => mockBody });
+
+      writeTeamToDoc(members);
+
+      expect(mockBody.setText).toHaveBeenCalledWith('');
+      expect(paragraphs[0].text).toMatch(/^Team Standup for /);
+      expect(paragraphs[1].text).toContain('Team members: 2');
+      const headings = paragraphs.filter(p => p.heading).map(p => [p.text, p.heading]);
+      expect(headings.slice(1)).toEqual([
+        ['Alice', DocumentApp.ParagraphHeading.HEADING2],
+        ['Web', DocumentApp.ParagraphHeading.HEADING3],
+        ['Bob', DocumentApp.ParagraphHeading.HEADING2]
+      ]);
+      expect(paragraphs).toContainEqual({ text: 'Overdue: 1 • Today: 1 • Upcoming: 0 • Total tasks: 1', heading: null, italic: true });
+      expect(paragraphs).toContainEqual({ text: 'Could not load tasks: Status: 401', heading: null, italic: true });
+      expect(mockBody.appendListItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('should write an underlined section per person to the text file', () => {
+      writeTeamToTextFile(members);
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('file123');
+      const text = mockFile.setContent.mock.calls[0][0];
+      expect(text).toMatch(/^Team Standup for /);
+      expect(text).toContain('Alice\n=====\nOverdue: 1 • Today: 1 • Upcoming: 0 • Total tasks: 1\n\nWeb:\n- Fix login');
+      expect(text).toContain('Bob\n===\nCould not load tasks: Status: 401');
+    });
+
+    test('should list people whose tasks could not be loaded in the CSV', () => {
+      PropertiesService.setMockProperties({ 'CSV_COLUMNS': 'id, content, priority' });
+
+      const csv = renderSnapshotCsv(buildTeamSnapshotModel(members));
+
+      expect(csv.split('\r\n')).toEqual([
+        'member,id,content,priority',
+        'Alice,1,Fix login,P4',
+        'Bob,,Could not load tasks: Status: 401,',
+        ''
+      ]);
+    });
+
+    test('should export each person with their statistics and team totals', () => {
+      writeTeamToJsonFile(members);
+
+      expect(DriveApp.getFileById).toHaveBeenCalledWith('json123');
+      const parsedJson = JSON.parse(mockFile.setContent.mock.calls[0][0]);
+      expect(parsedJson.exportMetadata.team).toBe(true);
+      expect(parsedJson.statistics).toEqual({ members: 2, dueCounts: { overdue: 1, today: 1, upcoming: 0 } });
+      expect(parsedJson.members[0].name).toBe('Alice');
+      expect(parsedJson.members[0].statistics.tasks.total).toBe(1);
+      expect(parsedJson.members[0].data.taskGroups[0].projectName).toBe('Web');
+      expect(parsedJson.members[1]).toEqual({ name: 'Bob', error: 'Status: 401', dueCounts: null, statistics: null, data: null });
+    });
+  });
+
+  describe('Snapshot model', () => {
+    const projects = [{ id: 'p1', name: 'Work' }];
+    const sections = [{ id: 's1', project_id: 'p1', name: 'Later', order: 1 }];
+    const tasks = [
+      {
+        id: '1', content: 'Plan launch', project_id: 'p1', priority: 4, labels: ['urgent'],
+        comment_count: 2, created_at: '2024-01-01T10:00:00Z', description: 'Draft the agenda',
+        subtasks: [{ id: '2', content: 'Book room', project_id: 'p1', priority: 1, labels: [], subtasks: [] }]
+      },
+      { id: '3', content: 'Tidy backlog', project_id: 'p1', section_id: 's1', priority: 2, labels: [], subtasks: [] }
+    ];
+
+    test('should group items by project and section with their display fields', () => {
+      const model = buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections });
+
+      expect(model.title).toMatch(/^Todoist Tasks for /);
+      expect(model.header).toContain('Total tasks: 2');
+      expect(model.header).toContain('Sub-tasks: 1');
+      expect(model.statistics.byPriority).toEqual({ p1: 1, p2: 0, p3: 1, p4: 0 });
+      expect(model.groups).toHaveLength(1);
+
+      const item = model.groups[0].items[0];
+      expect(item).toEqual(expect.objectContaining({
+        content: 'Plan launch',
+        priority: 'P1',
+        priorityPrefix: '(P1) ',
+        labelsText: ' [urgent]',
+        description: 'Draft the agenda'
+      }));
+      expect(item.details[0]).toBe('2 comments');
+      expect(item.detailsText).toMatch(/^ \(2 comments, created .+\)$/);
+      expect(item.children.map(child => [child.content, child.depth, child.priorityPrefix])).toEqual([['Book room', 1, '']]);
+      expect(model.groups[0].sections[0].name).toBe('Later');
+      expect(model.groups[0].sections[0].items[0].priorityPrefix).toBe('(P3) ');
+    });
+
+    test('should show the same task facts in the Google Doc as in the text export', () => {
+      const listItems = [];
+      const mockBody = {
+        setText: jest.fn(),
+        appendParagraph: jest.fn(() => ({ setHeading: jest.fn(), setItalic: jest.fn() })),
+        appendListItem: jest.fn(() => {
+          const listItem = { text: '' };
+          listItems.push(listItem);
+          return Object.assign(listItem, {
+            appendText: jest.fn(piece => { listItem.text += piece; }),
+            getText: jest.fn(() => listItem.text),
+            editAsText: jest.fn(() => ({ getText: jest.fn(() => ''), setBold: jest.fn(), setItalic: jest.fn() })),
+            setIndentStart: jest.fn(),
+            setNestingLevel: jest.fn()
+          });
+        })
+      };
+      DocumentApp.openById.mockReturnValue({ getBody: () => mockBody });
+
+      writeTasksToDoc(tasks, projects, sections);
+      const text = buildPlainTextForTasks(tasks, projects, sections);
+
+      const launchItem = listItems[0].text;
+      expect(launchItem).toContain('(2 comments, created ');
+      expect(text).toContain('- ' + launchItem.replace(' — Draft the agenda', ''));
+      expect(text).toContain('  - ' + listItems[1].text);
+    });
+  });
+
   describe('Export Error Handling', () => {
     test('should handle Document API errors', () => {
       DocumentApp.openById.mockImplementation(() => {
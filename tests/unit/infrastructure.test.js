@@ -48,6 +48,20 @@ describe('Test Infrastructure', () => {
     expect(UrlFetchApp.getCallCount()).toBeGreaterThan(0);
   });
 
+  test('should support transient HTTP error injection', () => {
+    PropertiesService.setMockProperties({
+      'TODOIST_TOKEN': 'test-token'
+    });
+    UrlFetchApp.injectError('httpError', 503);
+    UrlFetchApp.injectError('httpErrorTimes', 1);
+    UrlFetchApp.injectError('retryAfter', 2);
+
+    const result = getTodoistData();
+
+    expect(result).toHaveProperty('tasks');
+    expect(Utilities.sleep).toHaveBeenCalledWith(2000);
+  });
+
   test('should handle basic export function', () => {
     PropertiesService.setMockProperties({
       'JSON_FILE_ID': 'test-file-id',
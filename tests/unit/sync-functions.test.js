@@ -45,7 +45,8 @@ describe('Main Sync Functions', () => {
             deleteText: jest.fn(),
             insertText: jest.fn()
           })),
-          setIndentStart: jest.fn()
+          setIndentStart: jest.fn(),
+          setNestingLevel: jest.fn()
         }))
       })
     });
@@ -396,6 +397,199 @@ describe('Main Sync Functions', () => {
     });
   });
 
+  describe('Exporter registry', () => {
+    let testExporter;
+
+    beforeEach(() => {
+      testExporter = {
+        id: 'test',
+        label: 'test target',
+        configKeys: ['TEST_TARGET_ID'],
+        render: jest.fn(model => 'rendered ' + model.statistics.total + ' tasks'),
+        write: jest.fn()
+      };
+      getTodoistExporters().push(testExporter);
+    });
+
+    afterEach(() => {
+      const exporters = getTodoistExporters();
+      exporters.splice(exporters.indexOf(testExporter), 1);
+    });
+
+    test('should list the configured exporters in registry order', () => {
+      PropertiesService.setMockProperties({ 'TEST_TARGET_ID': 'x', 'JSON_FILE_ID': 'json123', 'DOC_ID': 'doc123' });
+
+      expect(getConfiguredExporters().map(exporter => exporter.id)).toEqual(['doc', 'json', 'test']);
+    });
+
+    test('should name every target in the error when none is configured', () => {
+      PropertiesService.setMockProperties({});
+
+      expect(() => syncTodoist()).toThrow(
+        'No output targets configured. Set DOC_ID, TEXT_FILE_ID, JSON_FILE_ID, MARKDOWN_FILE_ID, HTML_FILE_ID, CSV_FILE_ID, SHEET_ID, ICS_FILE_ID, and/or TEST_TARGET_ID in Script properties.');
+    });
+
+    test('should render and write a registered exporter with the snapshot model built once', () => {
+      PropertiesService.setMockProperties({
+        'DOC_ID': 'doc123',
+        'TEST_TARGET_ID': 'x',
+        'TODOIST_TOKEN': 'token123'
+      });
+
+      syncTodoist();
+
+      // Tasks and projects, shared by both targets
+      expect(UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      expect(testExporter.render).toHaveBeenCalledWith(expect.objectContaining({ isEmpty: true, groups: [] }));
+      expect(testExporter.write).toHaveBeenCalledWith('rendered 0 tasks');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to Google Doc');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to test target');
+    });
+
+    test('should keep writing other targets when one exporter fails', () => {
+      PropertiesService.setMockProperties({
+        'TEXT_FILE_ID': 'file123',
+        'TEST_TARGET_ID': 'x',
+        'TODOIST_TOKEN': 'token123'
+      });
+      testExporter.render.mockImplementation(() => { throw new Error('Render failed'); });
+
+      syncTodoist();
+
+      expect(testExporter.write).not.toHaveBeenCalled();
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringMatching(/❌ Failed to sync tasks to test target.*Render failed/));
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to text file');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Todoist sync completed successfully');
+    });
+  });
+
+  describe('Resumable runs', () => {
+    const realNow = Date.now();
+    const today = new Date(realNow).toISOString().split('T')[0];
+    const manyTasks = Array.from({ length: 200 }, (_, i) => ({ id: String(i + 1), content: 'Task ' + (i + 1), project_id: 'p1', due: { date: today } }));
+
+    let nowSpy = null;
+
+    function pretendElapsed(seconds) {
+      nowSpy = jest.spyOn(Date, 'now').mockReturnValue(realNow + seconds * 1000);
+    }
+
+    function stopPretending() {
+      if (nowSpy) nowSpy.mockRestore();
+      nowSpy = null;
+    }
+
+    beforeEach(() => {
+      PropertiesService.getScriptProperties().getProperty.mockImplementation((key) => {
+        return PropertiesService.getMockProperties()[key] || null;
+      });
+      PropertiesService.setMockProperties({
+        'DOC_ID': 'doc123',
+        'TEXT_FILE_ID': 'file123',
+        'TODOIST_TOKEN': 'token123'
+      });
+      UrlFetchApp.fetch.mockImplementation((url) => ({
+        getContentText: () => JSON.stringify(url.includes('/projects') ? [{ id: 'p1', name: 'Work' }] : manyTasks),
+        getResponseCode: () => 200
+      }));
+    });
+
+    afterEach(() => {
+      stopPretending();
+    });
+
+    test('should not start a target it cannot finish and schedule a continuation', () => {
+      pretendElapsed(270);
+
+      syncTodoist();
+
+      expect(DocumentApp.openById).not.toHaveBeenCalled();
+      expect(DriveApp.getFileById).not.toHaveBeenCalled();
+      const checkpoint = loadChunkedProperty('TODOIST_SYNC_CHECKPOINT');
+      expect(checkpoint.pendingTargets).toEqual(['doc', 'text']);
+      expect(checkpoint.data).toBeUndefined();
+      const triggers = ScriptApp.getMockTriggers();
+      expect(triggers).toHaveLength(1);
+      expect(triggers[0].getHandlerFunction()).toBe('resumeTodoistSync');
+      expect(triggers[0].afterMs).toBe(60000);
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('⏳ Paused Todoist sync'));
+      expect(Logger.log).not.toHaveBeenCalledWith('✅ Todoist sync completed successfully');
+    });
+
+    test('should refetch the tasks when finishing from the checkpoint', () => {
+      pretendElapsed(270);
+      syncTodoist();
+      stopPretending();
+      UrlFetchApp.fetch.mockClear();
+
+      resumeTodoistSync();
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalledWith(expect.stringContaining('/tasks'), expect.any(Object));
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to Google Doc');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to text file');
+      expect(Logger.log).toHaveBeenCalledWith('✅ Todoist sync completed successfully');
+      expect(loadChunkedProperty('TODOIST_SYNC_CHECKPOINT')).toBeNull();
+      expect(ScriptApp.getMockTriggers()).toHaveLength(0);
+    });
+
+    test('should checkpoint sub-task fetching when time runs out', () => {
+      PropertiesService.setMockProperties({
+        'DOC_ID': 'doc123',
+        'TODOIST_TOKEN': 'token123',
+        'SUBTASK_FETCH_MODE': 'per-task'
+      });
+      pretendElapsed(330);
+
+      syncTodoist();
+
+      const checkpoint = loadChunkedProperty('TODOIST_SYNC_CHECKPOINT');
+      expect(checkpoint.pendingTargets).toEqual(['doc']);
+      expect(checkpoint.subtaskProgress).toEqual({});
+      expect(ScriptApp.getMockTriggers()).toHaveLength(1);
+      expect(DocumentApp.openById).not.toHaveBeenCalled();
+    });
+
+    test('should not save sub-task progress that is too large for Script properties', () => {
+      const progress = { '1': [{ id: 'sub1', content: 'x'.repeat(150000) }] };
+
+      deferTodoistSync({ pendingTargets: ['doc'], subtaskProgress: progress }, 'out of time');
+
+      const checkpoint = loadChunkedProperty('TODOIST_SYNC_CHECKPOINT');
+      expect(checkpoint.pendingTargets).toEqual(['doc']);
+      expect(checkpoint.subtaskProgress).toBeNull();
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('⚠️ Too many sub-tasks to save'));
+    });
+
+    test('should discard stale checkpoints', () => {
+      saveChunkedProperty('TODOIST_SYNC_CHECKPOINT', {
+        createdAt: new Date(realNow - 30 * 60 * 1000).toISOString(),
+        pendingTargets: ['doc'],
+        subtaskProgress: { '1': [] }
+      });
+
+      syncTodoist();
+
+      expect(Logger.log).toHaveBeenCalledWith(expect.stringContaining('⚠️ Discarding an unfinished Todoist sync'));
+      expect(UrlFetchApp.fetch).toHaveBeenCalled();
+      expect(Logger.log).toHaveBeenCalledWith('✅ Successfully synced tasks to text file');
+      expect(loadChunkedProperty('TODOIST_SYNC_CHECKPOINT')).toBeNull();
+    });
+
+    test('should start over when forceRefresh is set', () => {
+      pretendElapsed(270);
+      syncTodoist();
+      stopPretending();
+      UrlFetchApp.fetch.mockClear();
+
+      syncTodoist({ forceRefresh: true });
+
+      expect(UrlFetchApp.fetch).toHaveBeenCalled();
+      expect(Logger.log).toHaveBeenCalledWith('✅ Todoist sync completed successfully');
+      expect(loadChunkedProperty('TODOIST_SYNC_CHECKPOINT')).toBeNull();
+      expect(ScriptApp.getMockTriggers()).toHaveLength(0);
+    });
+  });
+
   describe('Data Flow Optimization', () => {
     test('should call getTodoistData only once for multiple targets', () => {
       // This test verifies the optimization where we fetch data once and reuse it
@@ -10,6 +10,10 @@
  * - Export tasks to Google Docs with rich formatting
  * - Export tasks to plain text files with blockquote descriptions
  * - Export raw JSON data for analysis/backup
+ * - Export Markdown task lists for notes apps
+ * - Export a self-contained HTML page for reading on a phone
+ * - Export CSV rows for spreadsheets, or write them straight into a Google Sheet
+ * - Export an iCalendar file for calendar apps
  * - Support for sub-tasks with hierarchical display
  * - Configurable via Script properties
  * 
@@ -22,14 +26,88 @@
  * - DOC_ID: Optional Google Doc URL/ID for formatted export
  * - TEXT_FILE_ID: Optional text file URL/ID for plain text export
  * - JSON_FILE_ID: Optional JSON file URL/ID for raw data export
+ * - MARKDOWN_FILE_ID: Optional Markdown file URL/ID for a GitHub-flavored task list export
+ * - HTML_FILE_ID: Optional HTML file URL/ID for a self-contained web page export
+ * - CSV_FILE_ID: Optional CSV file URL/ID for a spreadsheet-friendly export
+ * - CSV_COLUMNS: Optional comma-separated list of CSV columns, in order (default: id,
+ *     parent_id, project, section, content, description, priority, due_date, due_datetime,
+ *     labels, comment_count, created_at, url; deadline and assignee are also available)
+ * - SHEET_ID: Optional Google Sheets URL/ID; gets a "Tasks" tab with the CSV_COLUMNS and a
+ *     "Summary" tab with task counts per project and due day
+ * - ICS_FILE_ID: Optional iCalendar (.ics) file URL/ID for calendar apps
+ * - ICS_COMPONENT: Optional calendar entry type, "VTODO" (default, to-dos) or "VEVENT"
+ *     (events; only tasks with a due date)
  * - TIMEZONE: Optional timezone (default: America/Chicago)
+ * - LOOKAHEAD_DAYS: Optional number of days ahead to include, plus overdue tasks (default: 7)
+ * - TODOIST_FILTER: Optional Todoist filter query (e.g. "overdue | today | next 3 days & #Work");
+ *     when set, the API selects the tasks and LOOKAHEAD_DAYS is not applied
+ * - TODOIST_API_VERSION: Optional Todoist API version, "v2" (default) or "v1"
+ * - TODOIST_DATA_SOURCE: Optional data source, "rest" (default) or "sync" for incremental
+ *     fetching via the Sync API (state is cached in Script properties)
+ * - SUBTASK_FETCH_MODE: Optional sub-task strategy: "local" (default) builds sub-tasks
+ *     from the full task list, "per-task" requests each task's sub-tasks individually
+ * - MAX_SUBTASK_DEPTH: Optional number of sub-task levels to include (default: 4)
+ * - PIN_FAVORITE_PROJECTS: Optional flag (set to "true") to list favorite projects
+ *     right after the Inbox
+ * - INCLUDE_COMMENTS: Optional flag (set to "true") to export the comments of tasks
+ *     that have any (one extra API request per commented task)
+ * - MAX_COMMENTS_PER_TASK: Optional number of most recent comments kept per task (default: 5)
+ * - COMPLETED_LOOKBACK_DAYS: Optional number of days of completed tasks to add in a
+ *     "Completed" section (default: 0, disabled; at most 89, as Todoist only returns
+ *     completed tasks for a range of up to three months)
+ * - RECURRING_OCCURRENCES: Optional number of upcoming occurrences of recurring tasks to
+ *     project within the lookahead window (default: 0, disabled)
+ * - ASSIGNEE_FILTER: Optional assignee selection for shared projects: "anyone" (default),
+ *     "me", "unassigned", or a comma-separated list of collaborator names (may include
+ *     "me" and "unassigned")
+ * - TEAM_ACCOUNTS: Optional team mode: comma- or newline-separated "Name: token" pairs. Each
+ *     person's tasks are fetched with their own token and exported in one combined document
+ *     with a section per person (TODOIST_TOKEN is then not needed)
+ * - CACHE_TTL_SECONDS: Optional number of seconds to reuse Todoist API responses across
+ *     runs via CacheService (default: 0, disabled; at most 21600)
  * - DEBUG: Optional debug flag (set to "true" to enable debug logging)
  * 
  * Usage:
  * - Run syncTodoist() to export to all configured targets
  * - Run individual functions for specific exports
+ * - Run resetTodoistSyncState() to force a full download on the next Sync API run
+ * - Run syncTodoistForceRefresh() to bypass the response cache once
+ * - Large exports that run out of time continue automatically via a one-off resumeTodoistSync()
+ *     trigger; run clearTodoistSyncCheckpoint() to abandon an unfinished run
  */
 
+// Execution start, used to keep retries and long exports within the Apps Script time limit
+const EXECUTION_START_TIME = Date.now();
+const APPS_SCRIPT_TIME_LIMIT_MS = 6 * 60 * 1000;
+
+/**
+ * Milliseconds left before Apps Script stops this execution.
+ * @returns {number} Remaining time (may be negative once the limit has passed)
+ */
+function getRemainingExecutionMs() {
+  return APPS_SCRIPT_TIME_LIMIT_MS - (Date.now() - EXECUTION_START_TIME);
+}
+
+/**
+ * Whether this execution has time for another step while keeping EXECUTION_SAFETY_MARGIN_MS
+ * in reserve to save a checkpoint and schedule a continuation.
+ * @param {number=} neededMs - How long the step is expected to take
+ * @returns {boolean} True if the step should start in this execution
+ */
+function hasExecutionTimeFor(neededMs) {
+  return getRemainingExecutionMs() - EXECUTION_SAFETY_MARGIN_MS >= (neededMs || 0);
+}
+
+/**
+ * @param {string} stage - What was in progress when time ran out
+ * @returns {Error} Error with an `isExecutionBudgetExceeded` property
+ */
+function buildExecutionBudgetError(stage) {
+  const error = new Error('Execution time budget exhausted while ' + stage);
+  error.isExecutionBudgetExceeded = true;
+  return error;
+}
+
 // Debug flag - dynamically checked to enable detailed logging
 function isDebugEnabled() {
   return PropertiesService.getScriptProperties().getProperty('DEBUG') === 'true';
@@ -44,41 +122,314 @@ function debugLog(...args) {
 
 
 /**
- * Unified sync function. Checks configured targets and performs the appropriate sync(s).
- * If both DOC_ID and TEXT_FILE_ID are set, it fetches once and updates both outputs.
+ * Export targets, in the order they are written. Each exporter lists the Script properties
+ * that enable it (`configKeys`, all required), turns the snapshot model (see
+ * buildExportModel()) into its output with `render(model)`, and saves that output with
+ * `write(output)`. `writeMsPerTask` is the rough cost used to decide whether the target
+ * still fits in the execution time budget. Supporting a new target means adding an entry here.
+ */
+const TODOIST_EXPORTERS = [
+  {
+    id: 'doc',
+    label: 'Google Doc',
+    configKeys: ['DOC_ID'],
+    // Several Document API calls per task
+    writeMsPerTask: 250,
+    // A Doc is built through the Document API, so the model itself is what gets written
+    render: model => model,
+    write: model => writeSnapshotToDoc(model)
+  },
+  {
+    id: 'text',
+    label: 'text file',
+    configKeys: ['TEXT_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => renderSnapshotText(model),
+    write: text => writeDriveFile(getTextFileId(), text)
+  },
+  {
+    id: 'json',
+    label: 'JSON file',
+    configKeys: ['JSON_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => JSON.stringify(model.members ? buildTeamJsonExport(model) : buildJsonExport(model), null, 2),
+    write: json => writeDriveFile(getJsonFileId(), json)
+  },
+  {
+    id: 'markdown',
+    label: 'Markdown file',
+    configKeys: ['MARKDOWN_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => renderSnapshotMarkdown(model),
+    write: markdown => writeDriveFile(getMarkdownFileId(), markdown)
+  },
+  {
+    id: 'html',
+    label: 'HTML file',
+    configKeys: ['HTML_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => renderSnapshotHtml(model),
+    write: html => writeDriveFile(getHtmlFileId(), html)
+  },
+  {
+    id: 'csv',
+    label: 'CSV file',
+    configKeys: ['CSV_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => renderSnapshotCsv(model),
+    write: csv => writeDriveFile(getCsvFileId(), csv)
+  },
+  {
+    id: 'sheet',
+    label: 'Google Sheet',
+    configKeys: ['SHEET_ID'],
+    // One batch write per tab, plus the formatting
+    writeMsPerTask: 10,
+    // Like the Doc, the Sheet is built through its API from the model
+    render: model => model,
+    write: model => writeSnapshotToSheet(model)
+  },
+  {
+    id: 'ics',
+    label: 'calendar file',
+    configKeys: ['ICS_FILE_ID'],
+    writeMsPerTask: 5,
+    render: model => renderSnapshotIcs(model),
+    write: ics => writeDriveFile(getIcsFileId(), ics)
+  }
+];
+
+/**
+ * @returns {Array<Object>} The exporter registry (see TODOIST_EXPORTERS)
+ */
+function getTodoistExporters() {
+  return TODOIST_EXPORTERS;
+}
+
+/**
+ * @param {string} id - Exporter ID, e.g. "doc"
+ * @returns {?Object} The exporter, or null if there is none with that ID
+ */
+function getExporterById(id) {
+  return getTodoistExporters().find(exporter => exporter.id === id) || null;
+}
+
+/**
+ * @returns {Array<Object>} Exporters whose Script properties are all set
  */
-function syncTodoist() {
+function getConfiguredExporters() {
   const properties = PropertiesService.getScriptProperties();
-  const hasDoc = !!properties.getProperty('DOC_ID');
-  const hasText = !!properties.getProperty('TEXT_FILE_ID');
-  const hasJson = !!properties.getProperty('JSON_FILE_ID');
+  return getTodoistExporters().filter(exporter =>
+    exporter.configKeys.every(key => !!properties.getProperty(key)));
+}
+
+/**
+ * Renders and writes one export target, logging the outcome. Failures are logged rather
+ * than thrown so the remaining targets are still written.
+ * @param {Object} exporter - Entry of the exporter registry
+ * @param {Object=} preFetchedData - Result of fetchSnapshotData(); fetched when omitted
+ * @param {Object=} model - Snapshot model of preFetchedData; built when omitted
+ */
+function runExporter(exporter, preFetchedData, model) {
+  try {
+    const snapshotModel = model || buildExportModel(preFetchedData || fetchSnapshotData());
+    exporter.write(exporter.render(snapshotModel));
+    Logger.log('✅ Successfully synced tasks to ' + exporter.label);
+  } catch (e) {
+    Logger.log('❌ Failed to sync tasks to ' + exporter.label + ': ' + e.toString());
+    debugLog('Stack trace:', e.stack);
+  }
+}
 
-  if (!hasDoc && !hasText && !hasJson) {
-    throw new Error('No output targets configured. Set DOC_ID, TEXT_FILE_ID, and/or JSON_FILE_ID in Script properties.');
+/**
+ * Unified sync function. Fetches the Todoist data once and writes every configured
+ * export target (see TODOIST_EXPORTERS).
+ * @param {{forceRefresh: boolean}=} options - Set forceRefresh to ignore cached API responses
+ *     (trigger event objects are accepted and ignored)
+ */
+function syncTodoist(options) {
+  const exporters = getConfiguredExporters();
+  if (exporters.length === 0) {
+    const keys = getTodoistExporters().map(exporter => exporter.configKeys.join(' + '));
+    throw new Error('No output targets configured. Set ' + keys.slice(0, -1).join(', ') + ', and/or ' +
+      keys[keys.length - 1] + ' in Script properties.');
   }
 
   Logger.log('🚀 Starting Todoist sync...');
-  debugLog('Targets: Doc=' + hasDoc + ', Text=' + hasText + ', JSON=' + hasJson);
+  debugLog('Targets: ' + exporters.map(exporter => exporter.label).join(', '));
 
-  // Count the number of configured targets
-  const targetCount = [hasDoc, hasText, hasJson].filter(Boolean).length;
+  const targets = exporters.map(exporter => exporter.id);
+  const forceRefresh = !!(options && options.forceRefresh === true);
 
-  // If multiple targets are set, fetch once and update all
-  if (targetCount > 1) {
-    const data = getTodoistData();
-    if (hasDoc) syncTodoistToDoc(data);
-    if (hasText) syncTodoistToTextFile(data);
-    if (hasJson) syncTodoistToJsonFile(data);
-  } else {
-    // Single target - let each function fetch its own data
-    if (hasDoc) syncTodoistToDoc();
-    if (hasText) syncTodoistToTextFile();
-    if (hasJson) syncTodoistToJsonFile();
+  // Pick up an earlier run that ran out of time, unless a fresh download was requested
+  let checkpoint = loadSyncCheckpoint();
+  if (checkpoint && forceRefresh) {
+    clearTodoistSyncCheckpoint();
+    checkpoint = null;
+  }
+  const pendingTargets = checkpoint
+    ? checkpoint.pendingTargets.filter(target => targets.indexOf(target) !== -1)
+    : targets;
+  if (checkpoint) {
+    Logger.log('⏳ Resuming unfinished Todoist sync from ' + checkpoint.createdAt + ' (remaining: ' + pendingTargets.join(', ') + ')');
+  }
+
+  // Fetch once and update every target; a resumed run fetches again so nothing stale is written
+  let data;
+  try {
+    data = fetchSnapshotData({
+      forceRefresh: forceRefresh,
+      subtaskProgress: (checkpoint && checkpoint.subtaskProgress) || {}
+    });
+  } catch (e) {
+    if (!e.isExecutionBudgetExceeded) throw e;
+    deferTodoistSync({ pendingTargets: pendingTargets, subtaskProgress: e.subtaskProgress }, e.message);
+    return;
   }
 
+  // Every target renders the same model, so they all show the same facts
+  const model = buildExportModel(data);
+  for (let i = 0; i < pendingTargets.length; i++) {
+    // Only start a target that can be written completely; the Doc and the Sheet's tabs are
+    // cleared before they are rewritten, so a target cut off by the time limit is left partial
+    const exporter = getExporterById(pendingTargets[i]);
+    if (!hasExecutionTimeFor(estimateExporterWriteMs(exporter, data))) {
+      deferTodoistSync({ pendingTargets: pendingTargets.slice(i) },
+        'not enough time left to write the ' + exporter.label);
+      return;
+    }
+    runExporter(exporter, data, model);
+  }
+
+  if (checkpoint) clearTodoistSyncCheckpoint();
   Logger.log('✅ Todoist sync completed successfully');
 }
 
+/**
+ * Runs syncTodoist() without using cached Todoist API responses. Handy from the
+ * Apps Script editor, which can't pass arguments.
+ */
+function syncTodoistForceRefresh() {
+  syncTodoist({ forceRefresh: true });
+}
+
+// Resumable runs: an export that would exceed the time limit saves its progress and
+// schedules resumeTodoistSync() to finish in a new execution
+const TODOIST_CHECKPOINT_KEY = 'TODOIST_SYNC_CHECKPOINT';
+const TODOIST_CONTINUATION_HANDLER = 'resumeTodoistSync';
+const TODOIST_CONTINUATION_DELAY_MS = 60000;
+// Checkpoints older than this are discarded and the sync starts over
+const TODOIST_CHECKPOINT_MAX_AGE_MS = 15 * 60 * 1000;
+// Sub-task progress larger than this is not saved, to leave room in the Script properties
+const TODOIST_CHECKPOINT_MAX_PROGRESS_CHARS = 100000;
+
+// Fixed part of the rough write cost of every target
+const TARGET_WRITE_BASE_MS = 5000;
+
+/**
+ * Estimates how long writing a target takes from its `writeMsPerTask`.
+ * @param {Object} exporter - Entry of the exporter registry
+ * @param {Object} data - Result of fetchSnapshotData()
+ * @returns {number} Estimated duration in milliseconds
+ */
+function estimateExporterWriteMs(exporter, data) {
+  const snapshots = data.members ? data.members.map(member => member.data).filter(Boolean) : [data];
+  const taskCount = snapshots.reduce((count, snapshot) =>
+    count + countTasksWithSubtasks(snapshot.tasks) + (snapshot.completedTasks || []).length, 0);
+  return TARGET_WRITE_BASE_MS + taskCount * (exporter.writeMsPerTask || 0);
+}
+
+/**
+ * Counts tasks including their nested sub-tasks.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @returns {number} Total number of tasks
+ */
+function countTasksWithSubtasks(tasks) {
+  return (tasks || []).reduce((count, task) => count + 1 + countTasksWithSubtasks(task.subtasks), 0);
+}
+
+/**
+ * Reads the checkpoint of an unfinished run. Checkpoints that are too old are discarded,
+ * so sub-tasks fetched long ago are never written out.
+ * @returns {?{createdAt: string, pendingTargets: Array<string>, subtaskProgress: ?Object}}
+ */
+function loadSyncCheckpoint() {
+  const checkpoint = loadChunkedProperty(TODOIST_CHECKPOINT_KEY);
+  if (!checkpoint || !Array.isArray(checkpoint.pendingTargets)) return null;
+
+  if (Date.now() - new Date(checkpoint.createdAt).getTime() > TODOIST_CHECKPOINT_MAX_AGE_MS) {
+    Logger.log('⚠️ Discarding an unfinished Todoist sync from ' + checkpoint.createdAt + '; starting over');
+    clearTodoistSyncCheckpoint();
+    return null;
+  }
+  return checkpoint;
+}
+
+/**
+ * Saves progress and schedules a continuation run. Only the targets still to write and,
+ * in "per-task" mode, the sub-tasks fetched so far are saved; the continuation fetches
+ * the tasks again.
+ * @param {{pendingTargets: Array<string>, subtaskProgress: Object=}} progress - What is left to do
+ * @param {string} reason - Why the run stopped, for the log
+ */
+function deferTodoistSync(progress, reason) {
+  const previous = loadChunkedProperty(TODOIST_CHECKPOINT_KEY);
+  let subtaskProgress = progress.subtaskProgress || null;
+  if (subtaskProgress && JSON.stringify(subtaskProgress).length > TODOIST_CHECKPOINT_MAX_PROGRESS_CHARS) {
+    Logger.log('⚠️ Too many sub-tasks to save for the next run; they will be downloaded again');
+    subtaskProgress = null;
+  }
+  const checkpoint = {
+    // Keep the original timestamp so saved sub-tasks can't be carried along forever
+    createdAt: (subtaskProgress && previous && previous.createdAt) || new Date().toISOString(),
+    pendingTargets: progress.pendingTargets,
+    subtaskProgress: subtaskProgress
+  };
+
+  try {
+    saveChunkedProperty(TODOIST_CHECKPOINT_KEY, checkpoint);
+  } catch (e) {
+    // Script properties may be full; the continuation fetches the sub-tasks again instead
+    Logger.log('⚠️ Could not save the fetched sub-tasks for the next run, they will be downloaded again: ' + e.toString());
+    checkpoint.subtaskProgress = null;
+    saveChunkedProperty(TODOIST_CHECKPOINT_KEY, checkpoint);
+  }
+
+  deleteContinuationTriggers();
+  ScriptApp.newTrigger(TODOIST_CONTINUATION_HANDLER)
+    .timeBased()
+    .after(TODOIST_CONTINUATION_DELAY_MS)
+    .create();
+  Logger.log('⏳ Paused Todoist sync (' + reason + '); it will continue in about ' +
+    Math.round(TODOIST_CONTINUATION_DELAY_MS / 60000) + ' minute(s). Still to write: ' + progress.pendingTargets.join(', '));
+}
+
+/**
+ * Removes scheduled continuation triggers.
+ */
+function deleteContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === TODOIST_CONTINUATION_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Continues a sync that ran out of time. Scheduled automatically; its one-off trigger
+ * is removed before the sync resumes.
+ */
+function resumeTodoistSync() {
+  deleteContinuationTriggers();
+  syncTodoist();
+}
+
+/**
+ * Abandons an unfinished run: forgets its saved progress and cancels the scheduled continuation.
+ */
+function clearTodoistSyncCheckpoint() {
+  deleteChunkedProperty(TODOIST_CHECKPOINT_KEY);
+  deleteContinuationTriggers();
+}
+
 function getTodoistToken() {
   const token = PropertiesService.getScriptProperties().getProperty('TODOIST_TOKEN');
   if (!token) {
@@ -111,11 +462,207 @@ function getJsonFileId() {
   return extractDriveIdFromInput(raw);
 }
 
+function getMarkdownFileId() {
+  const raw = PropertiesService.getScriptProperties().getProperty('MARKDOWN_FILE_ID');
+  if (!raw) {
+    throw new Error('MARKDOWN_FILE_ID is not configured. Set a Drive file sharing URL in Script properties.');
+  }
+  return extractDriveIdFromInput(raw);
+}
+
+function getHtmlFileId() {
+  const raw = PropertiesService.getScriptProperties().getProperty('HTML_FILE_ID');
+  if (!raw) {
+    throw new Error('HTML_FILE_ID is not configured. Set a Drive file sharing URL in Script properties.');
+  }
+  return extractDriveIdFromInput(raw);
+}
+
+function getCsvFileId() {
+  const raw = PropertiesService.getScriptProperties().getProperty('CSV_FILE_ID');
+  if (!raw) {
+    throw new Error('CSV_FILE_ID is not configured. Set a Drive file sharing URL in Script properties.');
+  }
+  return extractDriveIdFromInput(raw);
+}
+
+function getSheetId() {
+  const raw = PropertiesService.getScriptProperties().getProperty('SHEET_ID');
+  if (!raw) {
+    throw new Error('SHEET_ID is not configured. Set a Google Sheets sharing URL in Script properties.');
+  }
+  return extractDriveIdFromInput(raw);
+}
+
+function getIcsFileId() {
+  const raw = PropertiesService.getScriptProperties().getProperty('ICS_FILE_ID');
+  if (!raw) {
+    throw new Error('ICS_FILE_ID is not configured. Set a Drive file sharing URL in Script properties.');
+  }
+  return extractDriveIdFromInput(raw);
+}
+
+function getIcsComponent() {
+  const raw = PropertiesService.getScriptProperties().getProperty('ICS_COMPONENT');
+  const component = (raw || '').trim().toUpperCase();
+  if (!component) return 'VTODO';
+  if (component !== 'VTODO' && component !== 'VEVENT') {
+    throw new Error('Unsupported ICS_COMPONENT "' + raw + '". Use "VTODO" or "VEVENT".');
+  }
+  return component;
+}
+
 function getTimezone() {
   const timezone = PropertiesService.getScriptProperties().getProperty('TIMEZONE');
   return timezone || 'America/Chicago';
 }
 
+function getLookaheadDays() {
+  const raw = PropertiesService.getScriptProperties().getProperty('LOOKAHEAD_DAYS');
+  const days = parseInt(raw, 10);
+  return (isNaN(days) || days < 0) ? 7 : days;
+}
+
+function getTodoistFilter() {
+  const filter = PropertiesService.getScriptProperties().getProperty('TODOIST_FILTER');
+  return (filter && filter.trim()) ? filter.trim() : null;
+}
+
+function getTodoistApiVersion() {
+  const raw = PropertiesService.getScriptProperties().getProperty('TODOIST_API_VERSION');
+  const version = (raw || '').trim().toLowerCase();
+  if (!version) return 'v2';
+  if (!TODOIST_API_BASE_URLS[version]) {
+    throw new Error('Unsupported TODOIST_API_VERSION "' + raw + '". Use "v1" or "v2".');
+  }
+  return version;
+}
+
+function getTodoistDataSource() {
+  const raw = PropertiesService.getScriptProperties().getProperty('TODOIST_DATA_SOURCE');
+  const source = (raw || '').trim().toLowerCase();
+  if (!source) return 'rest';
+  if (source !== 'rest' && source !== 'sync') {
+    throw new Error('Unsupported TODOIST_DATA_SOURCE "' + raw + '". Use "rest" or "sync".');
+  }
+  return source;
+}
+
+function getSubtaskFetchMode() {
+  const mode = PropertiesService.getScriptProperties().getProperty('SUBTASK_FETCH_MODE');
+  return (mode && mode.trim().toLowerCase() === 'per-task') ? 'per-task' : 'local';
+}
+
+function getPinFavoriteProjects() {
+  return PropertiesService.getScriptProperties().getProperty('PIN_FAVORITE_PROJECTS') === 'true';
+}
+
+function getIncludeComments() {
+  return PropertiesService.getScriptProperties().getProperty('INCLUDE_COMMENTS') === 'true';
+}
+
+function getMaxCommentsPerTask() {
+  const raw = PropertiesService.getScriptProperties().getProperty('MAX_COMMENTS_PER_TASK');
+  const count = parseInt(raw, 10);
+  return (isNaN(count) || count < 1) ? 5 : count;
+}
+
+// The completed-tasks endpoint accepts a range of at most three months
+const MAX_COMPLETED_LOOKBACK_DAYS = 89;
+
+function getCompletedLookbackDays() {
+  const raw = PropertiesService.getScriptProperties().getProperty('COMPLETED_LOOKBACK_DAYS');
+  const days = parseInt(raw, 10);
+  if (isNaN(days) || days < 0) return 0;
+  if (days > MAX_COMPLETED_LOOKBACK_DAYS) {
+    Logger.log('⚠️ COMPLETED_LOOKBACK_DAYS is ' + days + ', but Todoist only returns completed tasks for up to ' +
+      MAX_COMPLETED_LOOKBACK_DAYS + ' days; using ' + MAX_COMPLETED_LOOKBACK_DAYS);
+    return MAX_COMPLETED_LOOKBACK_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Parses ASSIGNEE_FILTER.
+ * @returns {?{me: boolean, unassigned: boolean, names: Array<string>}} Selection with
+ *     lower-cased collaborator names, or null to keep every task
+ */
+function getAssigneeFilter() {
+  const raw = PropertiesService.getScriptProperties().getProperty('ASSIGNEE_FILTER');
+  const tokens = (raw || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+  if (tokens.length === 0 || tokens.indexOf('anyone') !== -1) return null;
+  return {
+    me: tokens.indexOf('me') !== -1,
+    unassigned: tokens.indexOf('unassigned') !== -1,
+    names: tokens.filter(token => token !== 'me' && token !== 'unassigned')
+  };
+}
+
+/**
+ * Parses TEAM_ACCOUNTS ("Alice: token1, Bob: token2"; newlines also separate entries).
+ * @returns {?Array<{name: string, token: string}>} Accounts in the configured order, or null
+ *     when team mode is off
+ */
+function getTeamAccounts() {
+  const raw = PropertiesService.getScriptProperties().getProperty('TEAM_ACCOUNTS');
+  const entries = (raw || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const seen = {};
+  return entries.map((entry, index) => {
+    const separator = entry.lastIndexOf(':');
+    const name = separator === -1 ? '' : entry.slice(0, separator).trim();
+    const token = separator === -1 ? '' : entry.slice(separator + 1).trim();
+    if (!name || !token) {
+      // Never echo the entry itself, it may contain a token
+      throw new Error('TEAM_ACCOUNTS entry ' + (index + 1) + ' is not in the form "Name: token".');
+    }
+    if (seen[name.toLowerCase()]) {
+      throw new Error('TEAM_ACCOUNTS lists "' + name + '" more than once.');
+    }
+    seen[name.toLowerCase()] = true;
+    return { name: name, token: token };
+  });
+}
+
+function getRecurringOccurrences() {
+  const raw = PropertiesService.getScriptProperties().getProperty('RECURRING_OCCURRENCES');
+  const count = parseInt(raw, 10);
+  return (isNaN(count) || count < 0) ? 0 : count;
+}
+
+function getCacheTtlSeconds() {
+  const raw = PropertiesService.getScriptProperties().getProperty('CACHE_TTL_SECONDS');
+  const seconds = parseInt(raw, 10);
+  if (isNaN(seconds) || seconds < 0) return 0;
+  return Math.min(seconds, TODOIST_CACHE_MAX_TTL_SECONDS);
+}
+
+/**
+ * Parses CSV_COLUMNS, a comma-separated list of the CSV export's columns in the order
+ * they should appear.
+ * @returns {Array<string>} Column names (DEFAULT_CSV_COLUMNS when not set)
+ */
+function getCsvColumns() {
+  const raw = PropertiesService.getScriptProperties().getProperty('CSV_COLUMNS');
+  const columns = (raw || '').split(',').map(column => column.trim().toLowerCase()).filter(Boolean);
+  if (columns.length === 0) return DEFAULT_CSV_COLUMNS;
+
+  columns.forEach(column => {
+    if (!CSV_COLUMN_VALUES.hasOwnProperty(column)) {
+      throw new Error('CSV_COLUMNS lists unknown column "' + column + '". Available columns: ' +
+        Object.keys(CSV_COLUMN_VALUES).join(', ') + '.');
+    }
+  });
+  return columns;
+}
+
+function getMaxSubtaskDepth() {
+  const raw = PropertiesService.getScriptProperties().getProperty('MAX_SUBTASK_DEPTH');
+  const depth = parseInt(raw, 10);
+  return (isNaN(depth) || depth < 1) ? 4 : depth;
+}
+
 function extractDriveIdFromInput(input) {
   const trimmed = (input || '').trim();
   if (!trimmed) {
@@ -142,14 +689,7 @@ function extractDriveIdFromInput(input) {
  * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
  */
 function syncTodoistToDoc(preFetchedData) {
-  try {
-    const todoistData = preFetchedData || getTodoistData();
-    writeTasksToDoc(todoistData.tasks, todoistData.projects);
-    Logger.log('✅ Successfully synced tasks to Google Doc');
-  } catch (e) {
-    Logger.log('❌ Failed to sync tasks to Google Doc: ' + e.toString());
-    debugLog('Stack trace:', e.stack);
-  }
+  runExporter(getExporterById('doc'), preFetchedData);
 }
 
 /**
@@ -157,16 +697,7 @@ function syncTodoistToDoc(preFetchedData) {
  * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
  */
 function syncTodoistToTextFile(preFetchedData) {
-  try {
-    debugLog('syncTodoistToTextFile() started');
-    const todoistData = preFetchedData || getTodoistData();
-    debugLog('Got ' + todoistData.tasks.length + ' tasks from Todoist');
-    writeTasksToTextFile(todoistData.tasks, todoistData.projects);
-    Logger.log('✅ Successfully synced tasks to text file');
-  } catch (e) {
-    Logger.log('❌ Failed to sync tasks to text file: ' + e.toString());
-    debugLog('Stack trace:', e.stack);
-  }
+  runExporter(getExporterById('text'), preFetchedData);
 }
 
 /**
@@ -174,490 +705,3592 @@ function syncTodoistToTextFile(preFetchedData) {
  * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
  */
 function syncTodoistToJsonFile(preFetchedData) {
-  try {
-    const todoistData = preFetchedData || getTodoistData();
-    writeTasksToJsonFile(todoistData.rawTasks, todoistData.projects);
-    Logger.log('✅ Successfully synced tasks to JSON file');
-  } catch (e) {
-    Logger.log('❌ Failed to sync tasks to JSON file: ' + e.toString());
-    debugLog('Stack trace:', e.stack);
-  }
+  runExporter(getExporterById('json'), preFetchedData);
 }
 
+/**
+ * Syncs the tasks to a Markdown file in Drive, as GitHub-flavored task lists.
+ * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
+ */
+function syncTodoistToMarkdownFile(preFetchedData) {
+  runExporter(getExporterById('markdown'), preFetchedData);
+}
 
 /**
- * Fetches tasks and projects from the Todoist API.
- * @returns {Object} An object containing arrays of tasks and projects.
+ * Syncs the tasks to an HTML page in Drive that can be read without Google Docs.
+ * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
  */
-function getTodoistData() {
-  debugLog('getTodoistData() started');
+function syncTodoistToHtmlFile(preFetchedData) {
+  runExporter(getExporterById('html'), preFetchedData);
+}
 
-  // Set up API request parameters
-  debugLog('Getting Todoist token...');
-  const token = getTodoistToken();
-  debugLog('Token retrieved successfully');
+/**
+ * Syncs the tasks to a CSV file in Drive, one row per task and sub-task.
+ * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
+ */
+function syncTodoistToCsvFile(preFetchedData) {
+  runExporter(getExporterById('csv'), preFetchedData);
+}
 
-  const params = {
-    'method': 'get',
-    'headers': {
-      'Authorization': 'Bearer ' + token
-    },
-    'muteHttpExceptions': true
-  };
-  debugLog('Request parameters set up');
+/**
+ * Syncs the tasks to a Google Sheet: a filterable "Tasks" tab and a "Summary" tab.
+ * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
+ */
+function syncTodoistToSheet(preFetchedData) {
+  runExporter(getExporterById('sheet'), preFetchedData);
+}
 
-  try {
-    // Use the v2 tasks endpoint without filter to get all tasks
-    // We'll filter them in the code instead of using the API filter
-    const taskUrl = 'https://api.todoist.com/rest/v2/tasks';
-    debugLog('Calling tasks URL: ' + taskUrl);
-    const taskResponse = UrlFetchApp.fetch(taskUrl, params);
+/**
+ * Syncs the tasks to an iCalendar file in Drive that calendar apps can subscribe to.
+ * @param {{tasks: Array, projects: Array}=} preFetchedData Optional pre-fetched data to avoid duplicate API calls
+ */
+function syncTodoistToIcsFile(preFetchedData) {
+  runExporter(getExporterById('ics'), preFetchedData);
+}
 
-    // Validate HTTP status code before parsing JSON
-    if (taskResponse.getResponseCode() !== 200) {
-      throw new Error('Failed to fetch tasks from Todoist API. Status: ' + taskResponse.getResponseCode() + ', Response: ' + taskResponse.getContentText());
-    }
+/**
+ * Overwrites the content of a file in Drive.
+ * @param {string} fileId - Drive file ID
+ * @param {string} content - New file content
+ */
+function writeDriveFile(fileId, content) {
+  DriveApp.getFileById(fileId).setContent(content);
+}
 
-    // Validate response content looks like JSON
-    const taskContent = taskResponse.getContentText();
-    if (!taskContent.trim().startsWith('[') && !taskContent.trim().startsWith('{')) {
-      throw new Error('Invalid JSON response from Todoist tasks API. Response content: ' + taskContent.substring(0, 200));
-    }
 
-    const rawTasks = JSON.parse(taskContent);
-    debugLog('Total tasks fetched: ' + rawTasks.length);
+// Base URLs for the supported Todoist API versions
+const TODOIST_API_BASE_URLS = {
+  v1: 'https://api.todoist.com/api/v1',
+  v2: 'https://api.todoist.com/rest/v2'
+};
 
-    // Filter tasks to those due within the next 7 days
-    const now = new Date();
-    const sevenDaysFromNow = new Date(now.getTime() + (7 * 24 * 60 * 60 * 1000));
+// v1 page size (the API maximum) and a guard against cursors that never end
+const TODOIST_V1_PAGE_LIMIT = 200;
+const TODOIST_V1_MAX_PAGES = 100;
+
+/**
+ * Builds a URL query string from an object, skipping null/undefined values.
+ * @param {Object=} query - Query parameters
+ * @returns {string} Query string including the leading "?", or an empty string
+ */
+function buildQueryString(query) {
+  const pairs = Object.keys(query || {})
+    .filter(key => query[key] !== null && query[key] !== undefined)
+    .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(query[key]));
+  return pairs.length > 0 ? '?' + pairs.join('&') : '';
+}
 
-    const filteredTasks = rawTasks.filter(task => {
-      if (!task.due) return false; // Skip tasks with no due date
+// Retry policy for transient Todoist API failures (429, 5xx and network errors)
+const TODOIST_MAX_RETRIES = 4;
+const TODOIST_RETRY_BASE_DELAY_MS = 1000;
+const TODOIST_RETRY_MAX_DELAY_MS = 30000;
+const TODOIST_MAX_TOTAL_RETRY_WAIT_MS = 90000;
+// Time kept free for rendering and writing after the last retry
+const EXECUTION_SAFETY_MARGIN_MS = 60000;
 
-      let taskDueDate;
-      if (task.due.datetime) {
-        taskDueDate = new Date(task.due.datetime);
-      } else if (task.due.date) {
-        // Parse date in YYYY-MM-DD format
-        const dateParts = task.due.date.split('-');
-        taskDueDate = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]);
-      } else {
-        return false;
-      }
+/**
+ * Whether a failed request with this HTTP status may succeed if repeated.
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for rate limiting and server errors
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
 
-      // Include overdue tasks and tasks due within 7 days
-      return taskDueDate <= sevenDaysFromNow;
-    });
+/**
+ * Reads the Retry-After header (seconds or HTTP date) from a response.
+ * @param {HTTPResponse} response - Response from UrlFetchApp
+ * @returns {number|null} Delay in milliseconds, or null if absent or unreadable
+ */
+function getRetryAfterMs(response) {
+  if (!response || typeof response.getHeaders !== 'function') return null;
+  const headers = response.getHeaders() || {};
+  const name = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  if (!name) return null;
 
-    debugLog('Filtered to ' + filteredTasks.length + ' tasks due within 7 days');
+  const value = String(headers[name]).trim();
+  if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-    // For each task, fetch its sub-tasks and group them
-    // Make a copy to avoid mutating the original filtered tasks
-    const tasksForSubtaskProcessing = JSON.parse(JSON.stringify(filteredTasks));
-    const sortedTasks = fetchTasksWithSubtasks(tasksForSubtaskProcessing, params);
+/**
+ * Delay before the next attempt: Retry-After when the server sends one, otherwise
+ * exponential backoff with random jitter.
+ * @param {number} attempt - Number of retries already made (0 for the first retry)
+ * @param {HTTPResponse=} response - The failed response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempt, response) {
+  const retryAfter = getRetryAfterMs(response);
+  if (retryAfter !== null) return retryAfter;
+  const backoff = Math.min(TODOIST_RETRY_MAX_DELAY_MS, TODOIST_RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+// Which token the current requests use, named in auth errors; getTodoistData() sets it per team member
+let todoistTokenSource = 'TODOIST_TOKEN';
 
-    // Fetch all projects
-    const projectUrl = 'https://api.todoist.com/rest/v2/projects';
-    debugLog('Calling projects URL: ' + projectUrl);
-    const projectResponse = UrlFetchApp.fetch(projectUrl, params);
+/**
+ * Builds the error for a failed Todoist request. Auth failures (401/403) are marked as
+ * permanent so callers can stop instead of continuing with partial data, and name the
+ * token that was rejected.
+ * @param {string} label - What was being fetched
+ * @param {HTTPResponse} response - The failed response
+ * @returns {Error} Error with `status` and `isAuthError` properties
+ */
+function buildTodoistHttpError(label, response) {
+  const status = response.getResponseCode();
+  let message = 'Failed to fetch ' + label + ' from Todoist API. Status: ' + status + ', Response: ' + response.getContentText();
+  if (status === 401 || status === 403) {
+    message += ' (check that ' + todoistTokenSource + ' is a valid API token)';
+  }
+  const error = new Error(message);
+  error.status = status;
+  error.isAuthError = status === 401 || status === 403;
+  return error;
+}
 
-    // Validate HTTP status code before parsing JSON
-    if (projectResponse.getResponseCode() !== 200) {
-      throw new Error('Failed to fetch projects from Todoist API. Status: ' + projectResponse.getResponseCode() + ', Response: ' + projectResponse.getContentText());
+/**
+ * Performs a Todoist API request, retrying rate limits, server errors and network failures
+ * with exponential backoff. Retry-After is honored, and the total wait is capped so retries
+ * never run into the Apps Script execution limit.
+ * @param {string} url - Full request URL
+ * @param {Object} params - API request parameters
+ * @param {string} label - What is being fetched, used in log and error messages
+ * @returns {HTTPResponse} The successful (200) response
+ */
+function fetchTodoistWithRetry(url, params, label) {
+  let totalWaitMs = 0;
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let networkError = null;
+    try {
+      response = UrlFetchApp.fetch(url, params);
+    } catch (e) {
+      networkError = e;
     }
 
-    // Validate response content looks like JSON
-    const projectContent = projectResponse.getContentText();
-    if (!projectContent.trim().startsWith('[') && !projectContent.trim().startsWith('{')) {
-      throw new Error('Invalid JSON response from Todoist projects API. Response content: ' + projectContent.substring(0, 200));
+    if (response && response.getResponseCode() === 200) {
+      return response;
     }
 
-    const projects = JSON.parse(projectContent);
+    const failure = networkError || buildTodoistHttpError(label, response);
+    if (!networkError && !isRetryableStatus(response.getResponseCode())) {
+      throw failure;
+    }
+    if (attempt >= TODOIST_MAX_RETRIES) {
+      Logger.log('❌ Giving up on ' + label + ' after ' + (attempt + 1) + ' attempts');
+      throw failure;
+    }
 
-    // Return original filtered tasks (without subtasks) as rawTasks for JSON export
-    return { tasks: sortedTasks, rawTasks: filteredTasks, projects };
-  } catch (error) {
-    // Re-throw with additional context for debugging
-    if (error.message.includes('JSON.parse')) {
-      throw new Error('JSON parsing error in Todoist API response. This usually indicates an invalid API token or API rate limiting. Original error: ' + error.message);
+    const delayMs = getRetryDelayMs(attempt, response);
+    if (totalWaitMs + delayMs > TODOIST_MAX_TOTAL_RETRY_WAIT_MS ||
+        delayMs > getRemainingExecutionMs() - EXECUTION_SAFETY_MARGIN_MS) {
+      Logger.log('❌ Not retrying ' + label + ': waiting ' + Math.ceil(delayMs / 1000) + 's would exceed the execution time budget');
+      throw failure;
     }
-    throw error;
+
+    Logger.log('⏳ Todoist ' + label + ' request failed (' + (networkError ? networkError.message : 'Status: ' + response.getResponseCode()) +
+      '), retrying in ' + Math.ceil(delayMs / 1000) + 's (retry ' + (attempt + 1) + ' of ' + TODOIST_MAX_RETRIES + ')');
+    Utilities.sleep(delayMs);
+    totalWaitMs += delayMs;
   }
 }
 
+// CacheService limits: values up to 100KB, entries live at most 6 hours
+const TODOIST_CACHE_CHUNK_SIZE = 90000;
+const TODOIST_CACHE_MAX_TTL_SECONDS = 21600;
+
+// Set by getTodoistData({forceRefresh: true}) so this run ignores cached responses
+let todoistCacheBypass = false;
+
 /**
- * Fetches sub-tasks for each task and groups them together.
- * @param {Array} tasks - Array of task objects from Todoist API
- * @param {Object} params - API request parameters
- * @returns {Array} Array with sub-tasks grouped under their parents
+ * Escapes non-ASCII characters in a JSON string so every character is one byte.
+ * @param {string} json - JSON text
+ * @returns {string} Equivalent JSON text using only ASCII characters
  */
-function fetchTasksWithSubtasks(tasks, params) {
-  debugLog('=== FETCH SUBTASKS DEBUG ===');
-  debugLog('Total tasks to process: ' + tasks.length);
-  
+function escapeNonAsciiJson(json) {
+  return json.replace(/[\u007f-\uffff]/g, function(ch) {
+    return '\\u' + ('0000' + ch.charCodeAt(0).toString(16)).slice(-4);
+  });
+}
+
+/**
+ * Builds the cache key for a GET request. The key hashes the API token together with
+ * the full URL (including the query), so accounts and queries never share entries.
+ * @param {string} url - Full request URL
+ * @param {Object} params - API request parameters
+ * @returns {?string} Cache key, or null when caching is disabled or the request isn't a GET
+ */
+function getTodoistCacheKey(url, params) {
+  const method = ((params && params.method) || 'get').toLowerCase();
+  if (method !== 'get' || getCacheTtlSeconds() === 0) return null;
+
+  const authorization = (params && params.headers && params.headers.Authorization) || '';
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, authorization + ' ' + url);
+  return 'todoist_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Reads a response body stored with putCachedTodoistResponse().
+ * @param {string} key - Cache key
+ * @returns {?string} Response body, or null when missing, expired or incomplete
+ */
+function getCachedTodoistResponse(key) {
+  const cache = CacheService.getScriptCache();
+  const count = parseInt(cache.get(key + '_count'), 10);
+  if (!count) return null;
+
+  const chunkKeys = [];
+  for (let i = 0; i < count; i++) chunkKeys.push(key + '_' + i);
+  const chunks = cache.getAll(chunkKeys);
+
+  let body = '';
+  for (let i = 0; i < count; i++) {
+    const chunk = chunks[key + '_' + i];
+    // Chunks can be evicted independently, so a partial entry counts as a miss
+    if (chunk === null || chunk === undefined) return null;
+    body += chunk;
+  }
+  return body;
+}
+
+/**
+ * Stores a response body in the script cache, split into chunks below the value limit.
+ * Caching is best effort: failures are logged in debug mode and otherwise ignored.
+ * @param {string} key - Cache key
+ * @param {string} body - Response body (JSON text)
+ */
+function putCachedTodoistResponse(key, body) {
+  const ascii = escapeNonAsciiJson(body);
+  const entries = {};
+  let count = 0;
+  for (let offset = 0; offset < ascii.length; offset += TODOIST_CACHE_CHUNK_SIZE) {
+    entries[key + '_' + count] = ascii.substring(offset, offset + TODOIST_CACHE_CHUNK_SIZE);
+    count++;
+  }
+  entries[key + '_count'] = String(count);
+
+  try {
+    CacheService.getScriptCache().putAll(entries, getCacheTtlSeconds());
+  } catch (e) {
+    debugLog('Could not cache response: ' + e.toString());
+  }
+}
+
+/**
+ * Performs a request against the Todoist API and parses the JSON response.
+ * GET responses are served from and saved to the script cache when CACHE_TTL_SECONDS is set.
+ * @param {string} url - Full request URL
+ * @param {Object} params - API request parameters
+ * @param {string} label - What is being fetched, used in log and error messages
+ * @returns {*} Parsed JSON response body
+ */
+function fetchTodoistJson(url, params, label) {
+  const cacheKey = getTodoistCacheKey(url, params);
+  if (cacheKey && !todoistCacheBypass) {
+    const cached = getCachedTodoistResponse(cacheKey);
+    if (cached !== null) {
+      debugLog('Using cached ' + label + ' response for URL: ' + url);
+      return JSON.parse(cached);
+    }
+  }
+
+  debugLog('Calling ' + label + ' URL: ' + url);
+  const response = fetchTodoistWithRetry(url, params, label);
+
+  // Validate response content looks like JSON
+  const content = response.getContentText();
+  if (!content.trim().startsWith('[') && !content.trim().startsWith('{')) {
+    throw new Error('Invalid JSON response from Todoist ' + label + ' API. Response content: ' + content.substring(0, 200));
+  }
+
+  const parsed = JSON.parse(content);
+  if (cacheKey) putCachedTodoistResponse(cacheKey, content);
+  return parsed;
+}
+
+/**
+ * Fetches a complete collection (tasks, projects, ...) from the configured Todoist API version.
+ * v2 returns a plain array. v1 returns `{results, next_cursor}` pages, which are followed until
+ * the cursor is exhausted and normalized back into the v2 field names the renderers expect.
+ * @param {string} resource - Collection name, e.g. "tasks" or "projects"
+ * @param {Object} params - API request parameters
+ * @param {Object=} query - Optional query parameters, e.g. {parent_id: '123'}
+ * @param {string=} label - What is being fetched, used in log and error messages (default: resource)
+ * @returns {Array} Every item in the collection, in v2 shape
+ */
+function fetchTodoistCollection(resource, params, query, label) {
+  const apiVersion = getTodoistApiVersion();
+  const url = TODOIST_API_BASE_URLS[apiVersion] + '/' + resource;
+  const description = label || resource;
+
+  if (apiVersion === 'v2') {
+    return fetchTodoistJson(url + buildQueryString(query), params, description);
+  }
+
+  const results = fetchTodoistV1Pages(url, params, query, description);
+  const normalize = TODOIST_V1_NORMALIZERS[resource];
+  return normalize ? results.map(normalize) : results;
+}
+
+/**
+ * Follows a v1 endpoint's `next_cursor` until every page has been fetched.
+ * Pages list their entries under `results` (or `items` for completed tasks).
+ * @param {string} url - Endpoint URL without a query string
+ * @param {Object} params - API request parameters
+ * @param {Object=} query - Query parameters sent with every page
+ * @param {string} description - Resource description for errors and logs
+ * @returns {Array} Entries of all pages, in order
+ */
+function fetchTodoistV1Pages(url, params, query, description) {
+  const results = [];
+  let cursor = null;
+  let pageCount = 0;
+  do {
+    const pageQuery = Object.assign({}, query, { limit: TODOIST_V1_PAGE_LIMIT });
+    if (cursor) pageQuery.cursor = cursor;
+
+    const page = fetchTodoistJson(url + buildQueryString(pageQuery), params, description);
+    const pageResults = Array.isArray(page) ? page : ((page && (page.results || page.items)) || []);
+    pageResults.forEach(item => results.push(item));
+
+    cursor = (page && page.next_cursor) || null;
+    pageCount++;
+    if (cursor && pageCount >= TODOIST_V1_MAX_PAGES) {
+      throw new Error('Todoist ' + description + ' API returned more than ' + TODOIST_V1_MAX_PAGES + ' pages. Stopping to avoid an endless pagination loop.');
+    }
+  } while (cursor);
+
+  debugLog('Fetched ' + results.length + ' ' + description + ' across ' + pageCount + ' page(s)');
+  return results;
+}
+
+/**
+ * Copies a v1 field onto its v2 name when the v2 name is absent.
+ * @param {Object} target - Object being normalized
+ * @param {string} v2Field - Field name the renderers use
+ * @param {string} v1Field - Field name returned by API v1
+ */
+function copyV1Field(target, v2Field, v1Field) {
+  if (target[v2Field] === undefined && target[v1Field] !== undefined) {
+    target[v2Field] = target[v1Field];
+  }
+}
+
+/**
+ * Normalizes a v1 due object. v1 stores date-times in `date`; v2 splits them
+ * into `date` (YYYY-MM-DD) and `datetime`.
+ * @param {Object} due - Due object from API v1
+ * @returns {Object} Due object in v2 shape
+ */
+function normalizeV1Due(due) {
+  if (!due || !due.date || due.datetime || due.date.length <= 10) return due;
+  const normalized = Object.assign({}, due);
+  normalized.datetime = due.date;
+  normalized.date = due.date.substring(0, 10);
+  return normalized;
+}
+
+/**
+ * Normalizes a v1 task into the v2 field names. v1 fields are kept alongside.
+ * @param {Object} task - Task object from API v1
+ * @returns {Object} Task object in v2 shape
+ */
+function normalizeV1Task(task) {
+  const normalized = Object.assign({}, task);
+  copyV1Field(normalized, 'created_at', 'added_at');
+  copyV1Field(normalized, 'comment_count', 'note_count');
+  copyV1Field(normalized, 'order', 'child_order');
+  copyV1Field(normalized, 'is_completed', 'checked');
+  copyV1Field(normalized, 'creator_id', 'added_by_uid');
+  copyV1Field(normalized, 'assignee_id', 'responsible_uid');
+  copyV1Field(normalized, 'assigner_id', 'assigned_by_uid');
+  normalized.due = normalizeV1Due(task.due);
+  if (normalized.url === undefined && normalized.id) {
+    normalized.url = 'https://app.todoist.com/app/task/' + normalized.id;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a v1 project into the v2 field names. v1 fields are kept alongside.
+ * @param {Object} project - Project object from API v1
+ * @returns {Object} Project object in v2 shape
+ */
+function normalizeV1Project(project) {
+  const normalized = Object.assign({}, project);
+  copyV1Field(normalized, 'order', 'child_order');
+  copyV1Field(normalized, 'is_inbox_project', 'inbox_project');
+  copyV1Field(normalized, 'is_team_inbox', 'team_inbox');
+  if (normalized.url === undefined && normalized.id) {
+    normalized.url = 'https://app.todoist.com/app/project/' + normalized.id;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a v1 section into the v2 field names. v1 fields are kept alongside.
+ * @param {Object} section - Section object from API v1
+ * @returns {Object} Section object in v2 shape
+ */
+function normalizeV1Section(section) {
+  const normalized = Object.assign({}, section);
+  copyV1Field(normalized, 'order', 'section_order');
+  return normalized;
+}
+
+/**
+ * Normalizes a v1 comment into the v2 field names. v1 fields are kept alongside.
+ * @param {Object} comment - Comment object from API v1
+ * @returns {Object} Comment object in v2 shape
+ */
+function normalizeV1Comment(comment) {
+  const normalized = Object.assign({}, comment);
+  copyV1Field(normalized, 'task_id', 'item_id');
+  copyV1Field(normalized, 'attachment', 'file_attachment');
+  return normalized;
+}
+
+// v1 normalizers by collection name
+const TODOIST_V1_NORMALIZERS = {
+  'tasks': normalizeV1Task,
+  'tasks/filter': normalizeV1Task,
+  'projects': normalizeV1Project,
+  'projects/archived': normalizeV1Project,
+  'sections': normalizeV1Section,
+  'comments': normalizeV1Comment
+};
+
+/**
+ * Fetches the tasks matching a Todoist filter query, letting the API do the selection.
+ * v2 takes the query as the `filter` parameter of /tasks; v1 has a dedicated /tasks/filter endpoint.
+ * @param {Object} params - API request parameters
+ * @param {string} filter - Todoist filter query, e.g. "overdue | today"
+ * @returns {Array} Matching tasks in v2 shape
+ */
+function fetchFilteredTasks(params, filter) {
+  if (getTodoistApiVersion() === 'v1') {
+    return fetchTodoistCollection('tasks/filter', params, { query: filter }, 'filtered tasks');
+  }
+  return fetchTodoistCollection('tasks', params, { filter: filter }, 'filtered tasks');
+}
+
+/**
+ * Fetches the tasks completed in the last lookbackDays days, most recent first. REST v2
+ * has no completed-task endpoint, so this always uses API v1 (the same token works).
+ * With CACHE_TTL_SECONDS set, the range is widened to whole cache periods so that runs
+ * within one period send the same query and share its cached response.
+ * @param {Object} params - API request parameters
+ * @param {number} lookbackDays - Number of days to look back
+ * @returns {Array} Completed task objects in v2 shape, each with a `completed_at`
+ */
+function fetchCompletedTasks(params, lookbackDays) {
+  const now = Date.now();
+  const periodMs = (getCacheTtlSeconds() || 1) * 1000;
+  const until = new Date(Math.ceil(now / periodMs) * periodMs);
+  const since = new Date(Math.floor((now - lookbackDays * 24 * 60 * 60 * 1000) / periodMs) * periodMs);
+  const url = TODOIST_API_BASE_URLS.v1 + '/tasks/completed/by_completion_date';
+  const query = { since: since.toISOString(), until: until.toISOString() };
+
+  const completed = fetchTodoistV1Pages(url, params, query, 'completed tasks').map(normalizeV1Task);
+  completed.sort((a, b) => (b.completed_at || '').localeCompare(a.completed_at || ''));
+  return completed;
+}
+
+/**
+ * Returns the calendar date of an instant in a timezone.
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone, e.g. "America/Chicago"
+ * @returns {string} Date as yyyy-MM-dd
+ */
+function getCalendarDate(date, timezone) {
+  return Utilities.formatDate(date, timezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Adds whole calendar days to a yyyy-MM-dd date, independent of DST changes.
+ * @param {string} calendarDate - Date as yyyy-MM-dd
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Resulting date as yyyy-MM-dd
+ */
+function addCalendarDays(calendarDate, days) {
+  const parts = calendarDate.split('-').map(Number);
+  return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a due date-time is floating, i.e. a wall-clock time that applies in whatever
+ * timezone the user is in, rather than a fixed instant (which has `due.timezone` and
+ * a UTC datetime).
+ * @param {Object} due - Due object from Todoist
+ * @returns {boolean} True for floating date-times
+ */
+function isFloatingDue(due) {
+  return !!due.datetime && !due.timezone && !/(Z|[+-]\d{2}:?\d{2})$/.test(due.datetime);
+}
+
+/**
+ * Returns the calendar date a task is due on, as seen in the configured timezone.
+ * All-day and floating dues already name their calendar date; fixed-timezone
+ * date-times are converted from their instant.
+ * @param {Object} due - Due object from Todoist
+ * @param {string} timezone - IANA timezone of the snapshot
+ * @returns {?string} Due date as yyyy-MM-dd, or null when there is none
+ */
+function getDueCalendarDate(due, timezone) {
+  if (!due) return null;
+  if (due.datetime) {
+    return isFloatingDue(due) ? due.datetime.slice(0, 10) : getCalendarDate(new Date(due.datetime), timezone);
+  }
+  return due.date ? due.date.slice(0, 10) : null;
+}
+
+/**
+ * Formats a task's due date for the Doc and text exports, e.g. " (Due: Jan 15, 2024)".
+ * Floating times are shown as written; fixed-timezone times in the configured timezone.
+ * A duration turns a due time into a time block ("at 10:00 AM–10:45 AM"); other
+ * durations are appended as a length (", 3 days").
+ * @param {Object} due - Due object from Todoist
+ * @param {Object=} duration - Duration object from Todoist (`{amount, unit}`)
+ * @returns {string} Due date suffix, or an empty string when there is none
+ */
+function formatDueDateString(due, duration) {
+  if (!due) return '';
+  const hasDuration = !!(duration && duration.amount > 0);
+
+  if (due.datetime) {
+    // Floating times: read the wall-clock time as UTC and print it in UTC so no conversion happens
+    const floating = isFloatingDue(due);
+    const start = new Date(floating ? due.datetime + 'Z' : due.datetime);
+    const timezone = floating ? 'UTC' : getTimezone();
+    let dueString = Utilities.formatDate(start, timezone, "MMM d, yyyy 'at' h:mm a");
+    if (hasDuration && duration.unit === 'minute') {
+      const end = new Date(start.getTime() + duration.amount * 60 * 1000);
+      dueString += '\u2013' + Utilities.formatDate(end, timezone, 'h:mm a');
+    } else if (hasDuration) {
+      dueString += ', ' + formatDuration(duration);
+    }
+    return ' (Due: ' + dueString + ')';
+  }
+  if (due.date) {
+    // All-day dates are calendar dates: build UTC midnight and print it in UTC
+    const dateParts = due.date.slice(0, 10).split('-').map(Number);
+    const dateOnly = new Date(Date.UTC(dateParts[0], dateParts[1] - 1, dateParts[2]));
+    const lengthSuffix = hasDuration ? ', ' + formatDuration(duration) : '';
+    return ' (Due: ' + Utilities.formatDate(dateOnly, 'UTC', 'MMM d, yyyy') + lengthSuffix + ')';
+  }
+  return '';
+}
+
+/**
+ * Formats a duration as a length, e.g. "45 min" or "3 days".
+ * @param {Object} duration - Duration object from Todoist (`{amount, unit}`)
+ * @returns {string} Human-readable length
+ */
+function formatDuration(duration) {
+  if (duration.unit === 'day') {
+    return duration.amount + (duration.amount === 1 ? ' day' : ' days');
+  }
+  return duration.amount + ' min';
+}
+
+/**
+ * Formats a task's deadline for the Doc and text exports, e.g. " (Deadline: Oct 24, 2024)".
+ * @param {Object} deadline - Deadline object from Todoist (`{date}`)
+ * @returns {string} Deadline suffix, or an empty string when there is none
+ */
+function formatDeadlineString(deadline) {
+  if (!deadline || !deadline.date) return '';
+  const dateParts = deadline.date.slice(0, 10).split('-').map(Number);
+  const dateOnly = new Date(Date.UTC(dateParts[0], dateParts[1] - 1, dateParts[2]));
+  return ' (Deadline: ' + Utilities.formatDate(dateOnly, 'UTC', 'MMM d, yyyy') + ')';
+}
+
+// Weekday numbers (Sunday = 0) by the names Todoist accepts in recurrence strings
+const RECURRENCE_WEEKDAYS = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+};
+
+/**
+ * Parses the common day- and week-based Todoist recurrence strings, e.g. "every day",
+ * "every 3 days", "every weekday", "every other week" or "every mon, thu at 9am".
+ * Times and "starting"/"until" clauses are ignored.
+ * @param {string} dueString - `due.string` of a recurring task
+ * @returns {?{intervalDays: number}|{weekdays: Array<number>}} Rule, or null for
+ *     patterns that can't be projected (monthly, yearly, ...)
+ */
+function parseRecurrenceRule(dueString) {
+  const text = (dueString || '').toLowerCase()
+    .replace(/\s+(at|@)\s.*$/, '')
+    .replace(/\s+(starting|from|until|for)\s.*$/, '')
+    .replace(/^every!/, 'every')
+    .trim();
+
+  if (text === 'daily' || text === 'every day') return { intervalDays: 1 };
+  if (text === 'weekly' || text === 'every week') return { intervalDays: 7 };
+  if (text === 'every other day') return { intervalDays: 2 };
+  if (text === 'every other week') return { intervalDays: 14 };
+  if (text === 'every weekday' || text === 'every workday') return { weekdays: [1, 2, 3, 4, 5] };
+
+  let match = text.match(/^every (\d+) (day|week)s?$/);
+  if (match) return { intervalDays: Number(match[1]) * (match[2] === 'week' ? 7 : 1) };
+
+  match = text.match(/^every (.+)$/);
+  if (match) {
+    const names = match[1].split(/\s*(?:,|\band\b)\s*/).filter(Boolean);
+    if (names.length > 0 && names.every(name => RECURRENCE_WEEKDAYS[name] !== undefined)) {
+      return { weekdays: names.map(name => RECURRENCE_WEEKDAYS[name]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the dates a recurring task will come up again after its current due date,
+ * from today up to the end of the window.
+ * @param {string} dueDate - Current due date as yyyy-MM-dd
+ * @param {Object} rule - Rule from parseRecurrenceRule()
+ * @param {string} today - Today as yyyy-MM-dd
+ * @param {string} windowEnd - Last date of the window as yyyy-MM-dd
+ * @param {number} maxCount - Maximum number of dates to return
+ * @returns {Array<string>} Upcoming dates as yyyy-MM-dd
+ */
+function projectRecurrenceDates(dueDate, rule, today, windowEnd, maxCount) {
+  const dates = [];
+  for (let date = addCalendarDays(dueDate, 1); date <= windowEnd && dates.length < maxCount; date = addCalendarDays(date, 1)) {
+    const daysSinceDue = Math.round((Date.parse(date) - Date.parse(dueDate)) / (24 * 60 * 60 * 1000));
+    const weekday = new Date(Date.parse(date)).getUTCDay();
+    const matches = rule.weekdays ? rule.weekdays.indexOf(weekday) !== -1 : daysSinceDue % rule.intervalDays === 0;
+    if (matches && date >= today) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Sets `projected_dates` on recurring tasks and sub-tasks with the next occurrences
+ * (up to maxOccurrences) within the due window, so date-based views can show a
+ * daily task under each day. Recurrence patterns that can't be parsed are skipped.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays (modified in place)
+ * @param {number} lookaheadDays - Number of days ahead the window covers
+ * @param {number} maxOccurrences - Maximum number of projected dates per task
+ */
+function projectRecurringTasks(tasks, lookaheadDays, maxOccurrences) {
+  const timezone = getTimezone();
+  const today = getCalendarDate(new Date(), timezone);
+  const windowEnd = addCalendarDays(today, lookaheadDays);
+
+  const project = list => (list || []).forEach(task => {
+    const rule = (task.due && task.due.is_recurring) ? parseRecurrenceRule(task.due.string) : null;
+    const dueDate = rule ? getDueCalendarDate(task.due, timezone) : null;
+    if (dueDate) {
+      const dates = projectRecurrenceDates(dueDate, rule, today, windowEnd, maxOccurrences);
+      if (dates.length > 0) task.projected_dates = dates;
+    }
+    project(task.subtasks);
+  });
+  project(tasks);
+}
+
+/**
+ * Works out how many days past today a TODOIST_FILTER query reaches, for projecting
+ * recurring tasks: the furthest "today", "tomorrow" or "(next) N days" term in the query,
+ * or, when the query has none (e.g. "#Work"), the latest due date among the tasks it returned.
+ * @param {string} filter - The TODOIST_FILTER query
+ * @param {Array} tasks - Tasks the filter returned
+ * @returns {number} Number of days ahead
+ */
+function getFilterWindowDays(filter, tasks) {
+  const query = filter.toLowerCase();
+  const termDays = [];
+  if (/\btoday\b/.test(query)) termDays.push(0);
+  if (/\btomorrow\b/.test(query)) termDays.push(1);
+  const dayRanges = /(^|[^-\d])(\d+)\s+days?\b/g;
+  let match;
+  while ((match = dayRanges.exec(query)) !== null) {
+    // "N days" runs from today, so it ends N - 1 days ahead
+    termDays.push(Math.max(0, Number(match[2]) - 1));
+  }
+  if (termDays.length > 0) return Math.max(...termDays);
+
+  const timezone = getTimezone();
+  const today = getCalendarDate(new Date(), timezone);
+  const latest = (tasks || []).reduce((max, task) => {
+    const dueDate = getDueCalendarDate(task.due, timezone);
+    return dueDate && dueDate > max ? dueDate : max;
+  }, today);
+  return Math.round((Date.parse(latest) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Formats the recurrence of a task for the Doc and text exports, e.g.
+ * " \u21bb every weekday (next: Jan 16, Jan 17)".
+ * @param {Object} task - Task object from Todoist
+ * @returns {string} Recurrence suffix, or an empty string for one-off tasks
+ */
+function formatRecurrenceString(task) {
+  if (!task.due || !task.due.is_recurring) return '';
+  let recurrence = ' \u21bb ' + (task.due.string || 'recurring');
+  if (task.projected_dates && task.projected_dates.length > 0) {
+    const nextDates = task.projected_dates.map(date => {
+      const parts = date.split('-').map(Number);
+      return Utilities.formatDate(new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])), 'UTC', 'MMM d');
+    });
+    recurrence += ' (next: ' + nextDates.join(', ') + ')';
+  }
+  return recurrence;
+}
+
+/**
+ * Counts recurring and one-off tasks.
+ * @param {Array} tasks - Tasks to count
+ * @returns {{recurring: number, oneOff: number}} Counts
+ */
+function countRecurringTasks(tasks) {
+  const recurring = (tasks || []).filter(task => task.due && task.due.is_recurring).length;
+  return { recurring: recurring, oneOff: (tasks || []).length - recurring };
+}
+
+/**
+ * Keeps tasks that are overdue or due within the lookahead window, or whose deadline
+ * has passed or falls within it. The window is counted in calendar days in the
+ * configured TIMEZONE: today plus lookaheadDays more.
+ * @param {Array} tasks - Tasks from the Todoist API
+ * @param {number} lookaheadDays - Number of days ahead to include
+ * @returns {Array} Tasks with a due date inside the window
+ */
+function filterTasksByDueWindow(tasks, lookaheadDays) {
+  const timezone = getTimezone();
+  const windowEnd = addCalendarDays(getCalendarDate(new Date(), timezone), lookaheadDays);
+
+  return tasks.filter(task => {
+    const dueDate = getDueCalendarDate(task.due, timezone);
+    const deadlineDate = (task.deadline && task.deadline.date) ? task.deadline.date.slice(0, 10) : null;
+    // Skip tasks with neither; include overdue tasks and tasks due within the window
+    return (!!dueDate && dueDate <= windowEnd) || (!!deadlineDate && deadlineDate <= windowEnd);
+  });
+}
+
+// Sync API endpoint and the Script property keys holding its state
+const TODOIST_SYNC_URL = 'https://api.todoist.com/api/v1/sync';
+const TODOIST_SYNC_TOKEN_KEY = 'TODOIST_SYNC_TOKEN';
+const TODOIST_SYNC_STATE_KEY = 'TODOIST_SYNC_STATE';
+
+// Script property values are limited to 9KB, so larger values are split into chunks
+const PROPERTY_CHUNK_SIZE = 8000;
+
+/**
+ * Stores a value as JSON across as many Script properties as needed.
+ * Non-ASCII characters are escaped so every character is one byte.
+ * @param {string} key - Base property key
+ * @param {*} value - JSON-serializable value
+ */
+function saveChunkedProperty(key, value) {
+  const properties = PropertiesService.getScriptProperties();
+  const json = escapeNonAsciiJson(JSON.stringify(value));
+
+  const previousCount = parseInt(properties.getProperty(key + '_COUNT'), 10) || 0;
+  const chunks = {};
+  let count = 0;
+  for (let offset = 0; offset < json.length; offset += PROPERTY_CHUNK_SIZE) {
+    chunks[key + '_' + count] = json.substring(offset, offset + PROPERTY_CHUNK_SIZE);
+    count++;
+  }
+  chunks[key + '_COUNT'] = String(count);
+  properties.setProperties(chunks);
+
+  // Remove chunks left over from a larger previous value
+  for (let i = count; i < previousCount; i++) {
+    properties.deleteProperty(key + '_' + i);
+  }
+}
+
+/**
+ * Reads a value stored with saveChunkedProperty().
+ * @param {string} key - Base property key
+ * @returns {*} The stored value, or null if it is missing or incomplete
+ */
+function loadChunkedProperty(key) {
+  const properties = PropertiesService.getScriptProperties();
+  const count = parseInt(properties.getProperty(key + '_COUNT'), 10);
+  if (!count) return null;
+
+  let json = '';
+  for (let i = 0; i < count; i++) {
+    const chunk = properties.getProperty(key + '_' + i);
+    if (chunk === null || chunk === undefined) return null;
+    json += chunk;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    debugLog('Discarding unreadable ' + key + ': ' + e.toString());
+    return null;
+  }
+}
+
+/**
+ * Deletes a value stored with saveChunkedProperty().
+ * @param {string} key - Base property key
+ */
+function deleteChunkedProperty(key) {
+  const properties = PropertiesService.getScriptProperties();
+  const count = parseInt(properties.getProperty(key + '_COUNT'), 10) || 0;
+  for (let i = 0; i < count; i++) {
+    properties.deleteProperty(key + '_' + i);
+  }
+  properties.deleteProperty(key + '_COUNT');
+}
+
+/**
+ * Returns the Script property keys holding an account's sync token and cached state.
+ * Team members each get their own keys so their incremental syncs don't mix.
+ * @param {string=} accountName - Team member name, or nothing for TODOIST_TOKEN
+ * @returns {{token: string, state: string}} Property keys
+ */
+function getSyncStateKeys(accountName) {
+  if (!accountName) return { token: TODOIST_SYNC_TOKEN_KEY, state: TODOIST_SYNC_STATE_KEY };
+  const suffix = '_' + accountName.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  return { token: TODOIST_SYNC_TOKEN_KEY + suffix, state: TODOIST_SYNC_STATE_KEY + suffix };
+}
+
+/**
+ * Forgets the stored sync tokens and cached state (including every team member's) so the
+ * next Sync API run downloads everything.
+ */
+function resetTodoistSyncState() {
+  const accountNames = [null].concat((getTeamAccounts() || []).map(account => account.name));
+  accountNames.forEach(accountName => {
+    const keys = getSyncStateKeys(accountName);
+    PropertiesService.getScriptProperties().deleteProperty(keys.token);
+    deleteChunkedProperty(keys.state);
+  });
+  Logger.log('🔄 Todoist sync state reset; the next run will perform a full sync');
+}
+
+/**
+ * Applies Sync API changes to a cached resource list. Deleted, completed and archived
+ * entries are removed; everything else replaces the cached entry with the same ID.
+ * @param {Array} cached - Cached items from earlier runs
+ * @param {Array} changes - Changed items returned by the Sync API
+ * @returns {Array} Updated list
+ */
+function applySyncChanges(cached, changes) {
+  const byId = new Map((cached || []).map(item => [item.id, item]));
+  (changes || []).forEach(item => {
+    if (item.is_deleted || item.checked || item.is_archived) {
+      byId.delete(item.id);
+    } else {
+      byId.set(item.id, item);
+    }
+  });
+  return Array.from(byId.values());
+}
+
+/**
+ * Fetches active tasks, projects and sections through the Sync API. The first run performs a full
+ * sync; later runs send the stored sync token and only apply the returned changes to the
+ * state cached in Script properties.
+ * @param {Object} params - API request parameters (the Authorization header is reused)
+ * @param {{token: string, state: string}=} stateKeys - Where the sync token and state are stored
+ *     (default: getSyncStateKeys())
+ * @returns {{tasks: Array, projects: Array, sections: Array}} Active tasks, projects and sections in v2 shape
+ */
+function fetchTodoistSyncState(params, stateKeys) {
+  const keys = stateKeys || getSyncStateKeys();
+  const properties = PropertiesService.getScriptProperties();
+  const cachedState = loadChunkedProperty(keys.state);
+  const storedToken = properties.getProperty(keys.token);
+  // Without a usable cache the deltas would have nothing to apply to
+  const syncToken = (cachedState && storedToken) ? storedToken : '*';
+  debugLog('Sync API request with ' + (syncToken === '*' ? 'full sync' : 'incremental sync token'));
+
+  const syncParams = {
+    'method': 'post',
+    'headers': params.headers,
+    'payload': {
+      'sync_token': syncToken,
+      'resource_types': JSON.stringify(['items', 'projects', 'sections'])
+    },
+    'muteHttpExceptions': true
+  };
+  const response = fetchTodoistJson(TODOIST_SYNC_URL, syncParams, 'sync');
+
+  const fullSync = response.full_sync || syncToken === '*';
+  const baseState = fullSync ? { items: [], projects: [], sections: [] } : cachedState;
+  const state = {
+    items: applySyncChanges(baseState.items, response.items),
+    projects: applySyncChanges(baseState.projects, response.projects),
+    sections: applySyncChanges(baseState.sections, response.sections)
+  };
+  debugLog('Sync API returned ' + (response.items || []).length + ' item changes; ' + state.items.length + ' active tasks cached');
+
+  try {
+    saveChunkedProperty(keys.state, state);
+    properties.setProperty(keys.token, response.sync_token);
+  } catch (e) {
+    // Never keep a token whose state could not be stored; the next run starts over
+    Logger.log('⚠️ Could not cache Todoist sync state, the next run will perform a full sync: ' + e.toString());
+    properties.deleteProperty(keys.token);
+  }
+
+  return {
+    tasks: state.items.map(normalizeV1Task),
+    projects: state.projects.map(normalizeV1Project),
+    sections: state.sections.map(normalizeV1Section)
+  };
+}
+
+/**
+ * Fetches tasks, projects and sections from the Todoist API.
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.forceRefresh] - Ignore cached API responses and refetch everything
+ * @param {Object} [options.subtaskProgress] - Sub-tasks already fetched per task ID in "per-task"
+ *     mode; filled in as tasks are processed and kept on the budget error if time runs out
+ * @param {string} [options.token] - API token to use instead of TODOIST_TOKEN (team mode)
+ * @param {string} [options.accountName] - Team member the token belongs to, for per-account sync
+ *     state and auth error messages
+ * @returns {Object} An object containing arrays of tasks, projects and sections.
+ */
+function getTodoistData(options) {
+  debugLog('getTodoistData() started');
+
+  // Set up API request parameters
+  debugLog('Getting Todoist token...');
+  const token = (options && options.token) || getTodoistToken();
+  debugLog('Token retrieved successfully');
+
+  const params = {
+    'method': 'get',
+    'headers': {
+      'Authorization': 'Bearer ' + token
+    },
+    'muteHttpExceptions': true
+  };
+  debugLog('Request parameters set up');
+
+  const previousCacheBypass = todoistCacheBypass;
+  todoistCacheBypass = previousCacheBypass || !!(options && options.forceRefresh === true);
+  const previousTokenSource = todoistTokenSource;
+  if (options && options.accountName) {
+    todoistTokenSource = 'the TEAM_ACCOUNTS token for ' + options.accountName;
+  }
+  try {
+    const filter = getTodoistFilter();
+    const useSyncApi = getTodoistDataSource() === 'sync';
+    if (filter && useSyncApi) {
+      Logger.log('⚠️ TODOIST_FILTER is not supported with the Sync API data source; using LOOKAHEAD_DAYS instead');
+    }
+
+    // The Sync API returns tasks and projects together in a single (incremental) request
+    const syncState = useSyncApi ? fetchTodoistSyncState(params, getSyncStateKeys(options && options.accountName)) : null;
+
+    let rawTasks;
+    let filteredTasks;
+    if (filter && !syncState) {
+      // Let the API select tasks with the configured filter query
+      filteredTasks = fetchFilteredTasks(params, filter);
+      debugLog('Filter "' + filter + '" matched ' + filteredTasks.length + ' tasks');
+      // Sub-tasks belong under a matching parent even when they don't match the filter
+      // themselves, so "local" sub-task building needs the full task list
+      const needsAllTasks = filteredTasks.length > 0 && getSubtaskFetchMode() !== 'per-task';
+      rawTasks = needsAllTasks ? fetchTodoistCollection('tasks', params) : filteredTasks;
+    } else {
+      // Fetch all active tasks without a filter and select the due window in code
+      rawTasks = syncState ? syncState.tasks : fetchTodoistCollection('tasks', params);
+      debugLog('Total tasks fetched: ' + rawTasks.length);
+
+      const lookaheadDays = getLookaheadDays();
+      filteredTasks = filterTasksByDueWindow(rawTasks, lookaheadDays);
+      debugLog('Filtered to ' + filteredTasks.length + ' tasks due within ' + lookaheadDays + ' days');
+    }
+
+    // Sub-tasks whose parent is also in the window are shown under that parent only
+    const filteredIds = new Set(filteredTasks.map(task => task.id));
+    const topLevelTasks = filteredTasks.filter(task => !task.parent_id || !filteredIds.has(task.parent_id));
+
+    // Attach sub-tasks to each task
+    // Make a copy to avoid mutating the original filtered tasks
+    const tasksForSubtaskProcessing = JSON.parse(JSON.stringify(topLevelTasks));
+    const maxDepth = getMaxSubtaskDepth();
+    let sortedTasks;
+    if (getSubtaskFetchMode() === 'per-task' && !syncState) {
+      sortedTasks = fetchTasksWithSubtasks(tasksForSubtaskProcessing, params, maxDepth, options && options.subtaskProgress);
+    } else {
+      sortedTasks = attachSubtasksFromTaskList(tasksForSubtaskProcessing, rawTasks, maxDepth);
+    }
+
+    const recurringOccurrences = getRecurringOccurrences();
+    if (recurringOccurrences > 0) {
+      // Project over the same window the tasks were selected with
+      const windowDays = (filter && !syncState) ? getFilterWindowDays(filter, filteredTasks) : getLookaheadDays();
+      projectRecurringTasks(sortedTasks, windowDays, recurringOccurrences);
+    }
+
+    // Completed tasks are optional, so a failure here should not stop the export
+    let completedTasks = [];
+    const completedLookbackDays = getCompletedLookbackDays();
+    if (completedLookbackDays > 0) {
+      try {
+        completedTasks = fetchCompletedTasks(params, completedLookbackDays);
+        debugLog('Fetched ' + completedTasks.length + ' tasks completed in the last ' + completedLookbackDays + ' days');
+      } catch (error) {
+        if (error.isAuthError) throw error;
+        Logger.log('⚠️ Could not fetch completed tasks, exporting without them: ' + error.toString());
+      }
+    }
+
+    // Fetch all projects, then look up any that tasks reference but the list left out
+    const activeProjects = syncState ? syncState.projects : fetchTodoistCollection('projects', params);
+    const projects = resolveMissingProjects(sortedTasks.concat(completedTasks), activeProjects, params);
+
+    // Collaborators name the assignees (and comment authors on API v1); projects without
+    // anyone to name are not looked up
+    const includeCommentAuthors = getIncludeComments() && getTodoistApiVersion() === 'v1';
+    const collaboratorNames = fetchCollaboratorNames(
+      collectCollaboratorProjectIds(sortedTasks.concat(completedTasks), projects, includeCommentAuthors), params);
+    const assigneeFilter = getAssigneeFilter();
+    const currentUser = (assigneeFilter && assigneeFilter.me) ? fetchAssigneeFilterUser(params) : null;
+    if (currentUser && !collaboratorNames.has(currentUser.id)) {
+      collaboratorNames.set(currentUser.id, currentUser.full_name);
+    }
+    nameTaskAssignees(sortedTasks, collaboratorNames);
+    nameTaskAssignees(completedTasks, collaboratorNames);
+
+    let exportedTasks = sortedTasks;
+    let exportedRawTasks = filteredTasks;
+    if (assigneeFilter) {
+      const currentUserId = currentUser ? currentUser.id : null;
+      exportedTasks = filterTasksByAssignee(sortedTasks, assigneeFilter, currentUserId);
+      completedTasks = filterTasksByAssignee(completedTasks, assigneeFilter, currentUserId);
+      // Keep the tasks of the window that are still somewhere in the filtered tree
+      const exportedIds = collectTaskIds(exportedTasks);
+      exportedRawTasks = filteredTasks.filter(task => exportedIds.has(task.id));
+      debugLog('Assignee filter kept ' + exportedTasks.length + ' of ' + sortedTasks.length + ' tasks');
+    }
+
+    if (getIncludeComments()) {
+      attachTaskComments(exportedTasks, projects, params, collaboratorNames);
+    }
+
+    // Sections are only needed (and only fetched) when an exported task belongs to one
+    let sections = [];
+    if (syncState) {
+      sections = syncState.sections;
+    } else if (hasTaskInSection(exportedTasks)) {
+      sections = fetchTodoistCollection('sections', params);
+    }
+
+    // Return every task in the window, sub-tasks included, as a flat list for the JSON export
+    return { tasks: exportedTasks, rawTasks: exportedRawTasks, projects, sections, completedTasks };
+  } catch (error) {
+    // Re-throw with additional context for debugging
+    if (error.message.includes('JSON.parse')) {
+      throw new Error('JSON parsing error in Todoist API response. This usually indicates an invalid API token or API rate limiting. Original error: ' + error.message);
+    }
+    throw error;
+  } finally {
+    todoistCacheBypass = previousCacheBypass;
+    todoistTokenSource = previousTokenSource;
+  }
+}
+
+/**
+ * Fetches the data for the snapshot: one person's tasks, or with TEAM_ACCOUNTS every
+ * team member's tasks.
+ * @param {Object=} options - Options passed on to getTodoistData()
+ * @returns {Object} getTodoistData() result, or `{members}` from getTeamTodoistData()
+ */
+function fetchSnapshotData(options) {
+  const accounts = getTeamAccounts();
+  return accounts ? getTeamTodoistData(accounts, options) : getTodoistData(options);
+}
+
+/**
+ * Fetches each team member's tasks with their own token. A member whose data can't be
+ * fetched is kept with an `error` so the rest of the team still gets a snapshot.
+ * @param {Array<{name: string, token: string}>} accounts - Team accounts from getTeamAccounts()
+ * @param {Object=} options - Options passed on to getTodoistData()
+ * @returns {{members: Array<{name: string, data: ?Object, dueCounts: ?Object, error: ?string}>}}
+ */
+function getTeamTodoistData(accounts, options) {
+  const members = accounts.map(account => {
+    debugLog('Fetching Todoist data for ' + account.name);
+    try {
+      const data = getTodoistData(Object.assign({}, options, { token: account.token, accountName: account.name }));
+      return { name: account.name, data: data, dueCounts: countTasksByDueStatus(data.rawTasks), error: null };
+    } catch (error) {
+      if (error.isExecutionBudgetExceeded) throw error;
+      Logger.log('❌ Could not fetch Todoist data for ' + account.name + ': ' + error.toString());
+      return { name: account.name, data: null, dueCounts: null, error: error.message };
+    }
+  });
+
+  if (!members.some(member => member.data)) {
+    throw new Error('Could not fetch Todoist data for any account in TEAM_ACCOUNTS; see the log for details.');
+  }
+  return { members: members };
+}
+
+/**
+ * Counts tasks by where their due date falls relative to today in the configured timezone.
+ * Tasks without a due date (e.g. selected by their deadline) are not counted.
+ * @param {Array} tasks - Flat list of tasks
+ * @returns {{overdue: number, today: number, upcoming: number}} Task counts
+ */
+function countTasksByDueStatus(tasks) {
+  const timezone = getTimezone();
+  const today = getCalendarDate(new Date(), timezone);
+  const counts = { overdue: 0, today: 0, upcoming: 0 };
+  (tasks || []).forEach(task => {
+    const dueDate = getDueCalendarDate(task.due, timezone);
+    if (!dueDate) return;
+    if (dueDate < today) counts.overdue++;
+    else if (dueDate === today) counts.today++;
+    else counts.upcoming++;
+  });
+  return counts;
+}
+
+/**
+ * Formats due counts for a team member's heading, e.g. "Overdue: 1 • Today: 2 • Upcoming: 3".
+ * @param {{overdue: number, today: number, upcoming: number}} counts - From countTasksByDueStatus()
+ * @returns {string} Summary line
+ */
+function formatDueCounts(counts) {
+  return 'Overdue: ' + counts.overdue + ' • Today: ' + counts.today + ' • Upcoming: ' + counts.upcoming;
+}
+
+/**
+ * Attaches sub-tasks to each task using the already-fetched task list, so no
+ * additional API calls are needed. Sub-tasks get their own `subtasks` array,
+ * recursively, down to maxDepth levels.
+ * @param {Array} tasks - Array of task objects to attach sub-tasks to
+ * @param {Array} allTasks - Every active task returned by the tasks endpoint
+ * @param {number=} maxDepth - Number of sub-task levels to attach (default: MAX_SUBTASK_DEPTH)
+ * @returns {Array} Array with sub-tasks grouped under their parents
+ */
+function attachSubtasksFromTaskList(tasks, allTasks, maxDepth) {
+  const depthLimit = maxDepth || getMaxSubtaskDepth();
+  debugLog('=== ATTACH SUBTASKS DEBUG ===');
+  debugLog('Total tasks to process: ' + tasks.length);
+
+  // Index children by parent ID, preserving the API's ordering
+  const childrenByParent = new Map();
+  (allTasks || []).forEach(candidate => {
+    if (!candidate || !candidate.parent_id) return;
+    if (!childrenByParent.has(candidate.parent_id)) {
+      childrenByParent.set(candidate.parent_id, []);
+    }
+    childrenByParent.get(candidate.parent_id).push(candidate);
+  });
+
+  const attachChildren = (task, depth) => {
+    const children = childrenByParent.get(task.id) || [];
+    if (depth > depthLimit) {
+      if (children.length > 0) {
+        debugLog('Omitting ' + children.length + ' sub-tasks of ' + task.content + ' beyond depth ' + depthLimit);
+      }
+      return;
+    }
+    if (children.length > 0) {
+      debugLog('Found ' + children.length + ' sub-tasks for task: ' + task.content);
+    }
+    // Copy the children so the caller's task list is left untouched
+    task.subtasks = JSON.parse(JSON.stringify(children));
+    task.subtasks.forEach(subTask => attachChildren(subTask, depth + 1));
+  };
+
+  const result = tasks.map(task => {
+    attachChildren(task, 1);
+    return task;
+  });
+
+  debugLog('Final result: ' + result.length + ' tasks with sub-tasks attached');
+  return result;
+}
+
+/**
+ * Fetches sub-tasks for each task with one request per task and groups them together.
+ * Only used when SUBTASK_FETCH_MODE is "per-task"; see attachSubtasksFromTaskList().
+ * When the execution runs low on time, a budget error carrying `subtaskProgress` is thrown
+ * so a later run can pass that progress back in and skip the tasks already fetched.
+ * A task whose sub-tasks still can't be fetched after retries gets a `subtasks_error`.
+ * @param {Array} tasks - Array of task objects from Todoist API
+ * @param {Object} params - API request parameters
+ * @param {number=} maxDepth - Number of sub-task levels to fetch (default: 1)
+ * @param {Object=} progress - Sub-tasks already fetched, by task ID; updated as tasks are processed
+ * @returns {Array} Array with sub-tasks grouped under their parents
+ */
+function fetchTasksWithSubtasks(tasks, params, maxDepth, progress) {
+  const depthLimit = maxDepth || 1;
+  debugLog('=== FETCH SUBTASKS DEBUG ===');
+  debugLog('Total tasks to process: ' + tasks.length);
+  
   const result = [];
   
   // For each task, fetch its sub-tasks
   for (let i = 0; i < tasks.length; i++) {
     const task = tasks[i];
     debugLog('Processing task ' + (i+1) + ': ' + task.content);
+
+    // Fetched by an earlier run that ran out of time
+    if (progress && progress[task.id]) {
+      task.subtasks = progress[task.id];
+      result.push(task);
+      continue;
+    }
+
+    if (!hasExecutionTimeFor(0)) {
+      const budgetError = buildExecutionBudgetError('fetching sub-tasks');
+      budgetError.subtaskProgress = progress || {};
+      throw budgetError;
+    }
     
     // Fetch sub-tasks for this task
-    const subTaskUrl = 'https://api.todoist.com/rest/v2/tasks?parent_id=' + task.id;
     try {
-      debugLog('Calling subtasks URL: ' + subTaskUrl);
-      const subTaskResponse = UrlFetchApp.fetch(subTaskUrl, params);
+      const subTasks = fetchTodoistCollection('tasks', params, { parent_id: task.id }, 'sub-tasks for task ' + task.id);
+      
+      if (subTasks && subTasks.length > 0) {
+        debugLog('Found ' + subTasks.length + ' sub-tasks for task: ' + task.content);
+        task.subtasks = depthLimit > 1 ? fetchTasksWithSubtasks(subTasks, params, depthLimit - 1, progress) : subTasks;
+      } else {
+        task.subtasks = [];
+      }
+    } catch (error) {
+      // A rejected token will fail every request, so stop instead of exporting without sub-tasks
+      if (error.isAuthError || error.isExecutionBudgetExceeded) throw error;
+      // Flag the task so the exports say its sub-tasks are missing rather than showing none
+      Logger.log('⚠️ Could not fetch sub-tasks for task ' + task.id + ', marking them as missing: ' + error.toString());
+      task.subtasks = [];
+      task.subtasks_error = error.message;
+    }
+
+    // Failed tasks are left out of the progress so a continuation tries them again
+    if (progress && !task.subtasks_error) progress[task.id] = task.subtasks;
+    result.push(task);
+  }
+  
+  debugLog('Final result: ' + result.length + ' tasks with sub-tasks attached');
+  return result;
+}
+
+/**
+ * Collects the IDs of tasks and their sub-tasks.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @param {Set<string>=} ids - Set to add to
+ * @returns {Set<string>} Task IDs
+ */
+function collectTaskIds(tasks, ids) {
+  const taskIds = ids || new Set();
+  (tasks || []).forEach(task => {
+    taskIds.add(task.id);
+    collectTaskIds(task.subtasks, taskIds);
+  });
+  return taskIds;
+}
+
+/**
+ * Collects the project IDs referenced by tasks and their sub-tasks.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @param {Set<string>=} ids - Set to add to
+ * @returns {Set<string>} Referenced project IDs
+ */
+function collectTaskProjectIds(tasks, ids) {
+  const projectIds = ids || new Set();
+  (tasks || []).forEach(task => {
+    if (task.project_id) projectIds.add(task.project_id);
+    collectTaskProjectIds(task.subtasks, projectIds);
+  });
+  return projectIds;
+}
+
+/**
+ * Looks up projects that tasks reference but that are missing from the active project
+ * list, e.g. archived projects or projects that were just deleted. v1 lists archived
+ * projects on a dedicated endpoint; v2 can only fetch them one at a time. Projects that
+ * still cannot be found are logged and later grouped as "Unknown project (id)".
+ * @param {Array} tasks - Tasks being exported
+ * @param {Array} projects - Active projects from Todoist
+ * @param {Object} params - API request parameters
+ * @returns {Array} The active projects plus any that could be resolved
+ */
+function resolveMissingProjects(tasks, projects, params) {
+  const knownIds = new Set(projects.map(project => project.id));
+  // 'inbox' is the placeholder grouping uses for tasks without a project, not a real ID
+  const missingIds = Array.from(collectTaskProjectIds(tasks)).filter(id => id !== 'inbox' && !knownIds.has(id));
+  if (missingIds.length === 0) return projects;
+
+  debugLog('Looking up ' + missingIds.length + ' project(s) missing from the project list: ' + missingIds.join(', '));
+  const resolved = [];
+  try {
+    if (getTodoistApiVersion() === 'v1') {
+      const archived = fetchTodoistCollection('projects/archived', params, null, 'archived projects');
+      archived.forEach(project => {
+        if (missingIds.indexOf(project.id) !== -1) resolved.push(project);
+      });
+    } else {
+      missingIds.forEach(id => {
+        try {
+          const project = fetchTodoistJson(TODOIST_API_BASE_URLS.v2 + '/projects/' + encodeURIComponent(id), params, 'project ' + id);
+          if (project && project.id === id) resolved.push(project);
+        } catch (error) {
+          if (error.isAuthError) throw error;
+          debugLog('Project ' + id + ' lookup failed: ' + error.toString());
+        }
+      });
+    }
+  } catch (error) {
+    if (error.isAuthError) throw error;
+    Logger.log('⚠️ Could not look up missing projects: ' + error.toString());
+  }
+
+  const resolvedIds = new Set(resolved.map(project => project.id));
+  missingIds.forEach(id => {
+    if (!resolvedIds.has(id)) {
+      Logger.log('⚠️ Project ' + id + ' was not found (archived, deleted or in another workspace); its tasks are listed under "Unknown project (' + id + ')"');
+    }
+  });
+
+  return projects.concat(resolved);
+}
+
+/**
+ * Fetches the comments of every task and sub-task with a `comment_count` and attaches
+ * the most recent MAX_COMMENTS_PER_TASK of them, oldest first, as `task.comments`.
+ * `task.omitted_comment_count` records how many older comments were left out. Comment
+ * authors are resolved to names from `posted_uid`, which only API v1 reports; REST v2
+ * comments have no author, so they are exported without one.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays (modified in place)
+ * @param {Array} projects - Project objects from Todoist
+ * @param {Object} params - API request parameters
+ * @param {Map<string, string>=} collaboratorNames - Known names by user ID; fetched when omitted
+ */
+function attachTaskComments(tasks, projects, params, collaboratorNames) {
+  const commentedTasks = [];
+  const collect = list => (list || []).forEach(task => {
+    if (task.comment_count && task.comment_count > 0) commentedTasks.push(task);
+    collect(task.subtasks);
+  });
+  collect(tasks);
+  if (commentedTasks.length === 0) return;
+
+  debugLog('Fetching comments for ' + commentedTasks.length + ' task(s)');
+  const hasAuthors = getTodoistApiVersion() === 'v1';
+  if (!hasAuthors) {
+    Logger.log('⚠️ REST v2 comments have no author; set TODOIST_API_VERSION to "v1" to show who wrote each comment');
+  }
+  const maxComments = getMaxCommentsPerTask();
+  const authorNames = collaboratorNames ||
+    (hasAuthors ? fetchCollaboratorNames(collectCollaboratorProjectIds(commentedTasks, projects, true), params) : new Map());
+
+  commentedTasks.forEach(task => {
+    try {
+      const comments = fetchTodoistCollection('comments', params, { task_id: task.id }, 'comments for task ' + task.id);
+      comments.sort((a, b) => (a.posted_at || '').localeCompare(b.posted_at || ''));
+      const kept = comments.slice(-maxComments);
+      task.comments = kept.map(comment => {
+        const authorName = authorNames.get(comment.posted_uid);
+        return authorName ? Object.assign({}, comment, { author_name: authorName }) : comment;
+      });
+      task.omitted_comment_count = comments.length - kept.length;
+    } catch (error) {
+      if (error.isAuthError) throw error;
+      Logger.log('⚠️ Could not fetch comments for task ' + task.id + ', exporting it without them: ' + error.toString());
+    }
+  });
+}
+
+/**
+ * Collects the projects whose collaborators are needed to name people: the projects of
+ * assigned tasks and, for comment authors, shared projects with commented tasks.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @param {Array} projects - Project objects from Todoist
+ * @param {boolean=} includeCommentAuthors - Also collect shared projects with commented tasks
+ * @returns {Set<string>} Project IDs
+ */
+function collectCollaboratorProjectIds(tasks, projects, includeCommentAuthors) {
+  const sharedIds = new Set(projects.filter(project => project.is_shared).map(project => project.id));
+  const projectIds = new Set();
+  const hasCommentAuthors = task => includeCommentAuthors && task.comment_count > 0 && sharedIds.has(task.project_id);
+  const collect = list => (list || []).forEach(task => {
+    if (task.project_id && (task.assignee_id || hasCommentAuthors(task))) projectIds.add(task.project_id);
+    collect(task.subtasks);
+  });
+  collect(tasks);
+  return projectIds;
+}
+
+/**
+ * Maps user IDs to names using the collaborators of the given projects. Lookups that
+ * fail are skipped; those people are then shown without a name.
+ * @param {Set<string>} projectIds - Projects to fetch collaborators for
+ * @param {Object} params - API request parameters
+ * @returns {Map<string, string>} Collaborator names by user ID
+ */
+function fetchCollaboratorNames(projectIds, params) {
+  const names = new Map();
+  projectIds.forEach(projectId => {
+    try {
+      const collaborators = fetchTodoistCollection('projects/' + encodeURIComponent(projectId) + '/collaborators', params, null, 'collaborators for project ' + projectId);
+      collaborators.forEach(person => names.set(person.id, person.name));
+    } catch (error) {
+      if (error.isAuthError) throw error;
+      debugLog('Collaborator lookup for project ' + projectId + ' failed: ' + error.toString());
+    }
+  });
+  return names;
+}
+
+/**
+ * Fetches the user the API token belongs to. REST v2 has no user endpoint, so this
+ * always uses API v1 (the same token works).
+ * @param {Object} params - API request parameters
+ * @returns {{id: string, full_name: string}} Current user
+ */
+function fetchCurrentUser(params) {
+  return fetchTodoistJson(TODOIST_API_BASE_URLS.v1 + '/user', params, 'user');
+}
+
+/**
+ * Fetches the current user for ASSIGNEE_FILTER's "me". Failures other than a rejected
+ * token are reported as a configuration problem, since "me" can't be matched without it.
+ * @param {Object} params - API request parameters
+ * @returns {{id: string, full_name: string}} Current user
+ */
+function fetchAssigneeFilterUser(params) {
+  try {
+    return fetchCurrentUser(params);
+  } catch (error) {
+    if (error.isAuthError || error.isExecutionBudgetExceeded) throw error;
+    throw new Error('ASSIGNEE_FILTER includes "me", but the Todoist user could not be looked up (' + error.message +
+      '). Try again later, or list your name in ASSIGNEE_FILTER instead of "me".');
+  }
+}
+
+/**
+ * Sets `assignee_name` on every assigned task and sub-task whose assignee is known.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays (modified in place)
+ * @param {Map<string, string>} names - Names by user ID
+ */
+function nameTaskAssignees(tasks, names) {
+  (tasks || []).forEach(task => {
+    if (task.assignee_id && names.has(task.assignee_id)) {
+      task.assignee_name = names.get(task.assignee_id);
+    }
+    nameTaskAssignees(task.subtasks, names);
+  });
+}
+
+/**
+ * Keeps the tasks selected by ASSIGNEE_FILTER. A matching task keeps all of its
+ * sub-tasks; matching sub-tasks of a task that doesn't match take its place.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @param {{me: boolean, unassigned: boolean, names: Array<string>}} filter - Parsed ASSIGNEE_FILTER
+ * @param {?string} currentUserId - ID of the token's user, for "me"
+ * @returns {Array} Selected tasks
+ */
+function filterTasksByAssignee(tasks, filter, currentUserId) {
+  const matches = task => {
+    if (!task.assignee_id) return filter.unassigned;
+    if (filter.me && task.assignee_id === currentUserId) return true;
+    return !!task.assignee_name && filter.names.indexOf(task.assignee_name.toLowerCase()) !== -1;
+  };
+
+  const selected = [];
+  (tasks || []).forEach(task => {
+    if (matches(task)) {
+      selected.push(task);
+    } else {
+      filterTasksByAssignee(task.subtasks, filter, currentUserId).forEach(subTask => selected.push(subTask));
+    }
+  });
+  return selected;
+}
+
+/**
+ * Returns the display name of a task's assignee.
+ * @param {Object} task - Task object from Todoist
+ * @returns {?string} Assignee name, a placeholder for unknown users, or null when unassigned
+ */
+function getAssigneeLabel(task) {
+  if (!task.assignee_id) return null;
+  return task.assignee_name || 'user ' + task.assignee_id;
+}
+
+/**
+ * Counts tasks per assignee for the metadata headers.
+ * @param {Array} tasks - Tasks to count
+ * @returns {Array<{name: string, count: number}>} Counts, most tasks first; empty when no task is assigned
+ */
+function countTasksByAssignee(tasks) {
+  const counts = new Map();
+  let assigned = 0;
+  (tasks || []).forEach(task => {
+    const name = getAssigneeLabel(task) || 'unassigned';
+    if (task.assignee_id) assigned++;
+    counts.set(name, (counts.get(name) || 0) + 1);
+  });
+  if (assigned === 0) return [];
+  return Array.from(counts, ([name, count]) => ({ name: name, count: count }))
+    .sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Formats assignee counts for the metadata headers, e.g. "Assignees: Alice 3, unassigned 1".
+ * @param {Array} tasks - Tasks to count
+ * @returns {?string} Header entry, or null when no task is assigned
+ */
+function formatAssigneeSummary(tasks) {
+  const counts = countTasksByAssignee(tasks);
+  if (counts.length === 0) return null;
+  return 'Assignees: ' + counts.map(entry => entry.name + ' ' + entry.count).join(', ');
+}
+
+/**
+ * Builds the "author, date" heading shown before a comment in the Doc and text exports.
+ * @param {Object} comment - Comment object from Todoist
+ * @returns {string} Comment heading
+ */
+function formatCommentHeading(comment) {
+  const parts = [];
+  if (comment.author_name) parts.push(comment.author_name);
+  if (comment.posted_at) {
+    parts.push(Utilities.formatDate(new Date(comment.posted_at), getTimezone(), "MMM d, yyyy 'at' h:mm a"));
+  }
+  return parts.length > 0 ? 'Comment (' + parts.join(', ') + ')' : 'Comment';
+}
+
+/**
+ * Whether any of the tasks, or their sub-tasks, belongs to a section.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @returns {boolean} True if at least one task has a section_id
+ */
+function hasTaskInSection(tasks) {
+  return (tasks || []).some(task => !!task.section_id || hasTaskInSection(task.subtasks));
+}
+
+/**
+ * Counts every sub-task below the given tasks, at any depth.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @returns {number} Total number of descendant sub-tasks
+ */
+function countSubtasks(tasks) {
+  return (tasks || []).reduce((count, task) => {
+    const subtasks = (task && task.subtasks) || [];
+    return count + subtasks.length + countSubtasks(subtasks);
+  }, 0);
+}
+
+// Separator between parent and child project names in breadcrumb titles
+const PROJECT_BREADCRUMB_SEPARATOR = ' \u203a ';
+
+/**
+ * Checks whether a project is the user's Inbox (v2 `is_inbox_project`, v1 `inbox_project`).
+ * @param {Object} project - Project object from Todoist
+ * @returns {boolean} True for the Inbox project
+ */
+function isInboxProject(project) {
+  return !!(project && (project.is_inbox_project || project.inbox_project));
+}
+
+/**
+ * Orders projects the way Todoist shows them: the Inbox first, then the project tree
+ * depth-first with siblings sorted by `order` (`child_order` in v1). Favorites are
+ * moved up to follow the Inbox when PIN_FAVORITE_PROJECTS is enabled. Projects whose
+ * parent is not in the list are treated as top-level.
+ * @param {Array} projects - Project objects from Todoist
+ * @returns {Map<string, {index: number, path: Array<string>}>} Sort position and
+ *     names from the top-level ancestor down to the project, keyed by project ID
+ */
+function buildProjectHierarchy(projects) {
+  const projectIds = new Set(projects.map(p => p.id));
+  const childrenByParent = new Map();
+  projects.forEach(project => {
+    const parentId = (project.parent_id && projectIds.has(project.parent_id)) ? project.parent_id : null;
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(project);
+  });
+
+  const compareSiblings = (a, b) => {
+    if (isInboxProject(a) !== isInboxProject(b)) return isInboxProject(a) ? -1 : 1;
+    const orderA = (a.order !== undefined) ? a.order : a.child_order;
+    const orderB = (b.order !== undefined) ? b.order : b.child_order;
+    if ((orderA || 0) !== (orderB || 0)) return (orderA || 0) - (orderB || 0);
+    return (a.name || '').localeCompare(b.name || '');
+  };
+
+  const ordered = [];
+  const visit = (parentId, path) => {
+    const children = (childrenByParent.get(parentId) || []).slice().sort(compareSiblings);
+    children.forEach(project => {
+      const projectPath = path.concat(project.is_archived ? project.name + ' (archived)' : project.name);
+      ordered.push({ project: project, path: projectPath });
+      visit(project.id, projectPath);
+    });
+  };
+  visit(null, []);
+
+  const pinFavorites = getPinFavoriteProjects();
+  const rank = project => {
+    if (isInboxProject(project)) return 0;
+    return (pinFavorites && project.is_favorite) ? 1 : 2;
+  };
+  ordered.forEach((entry, position) => { entry.position = position; });
+  ordered.sort((a, b) => (rank(a.project) - rank(b.project)) || (a.position - b.position));
+
+  const hierarchy = new Map();
+  ordered.forEach((entry, index) => {
+    hierarchy.set(entry.project.id, { index: index, path: entry.path });
+  });
+  return hierarchy;
+}
+
+/**
+ * Groups tasks by project and, within each project, by section. Projects follow the
+ * Todoist project tree (see buildProjectHierarchy) and are titled with their full
+ * breadcrumb, e.g. "Work › Clients › Acme"; tasks whose project is not in the list are
+ * grouped last as "Unknown project (id)". Sections follow their Todoist order. Tasks
+ * without a (known) section are kept on the project itself and listed before any section.
+ * @param {Array} tasks - Tasks to group
+ * @param {Array} projects - Project objects from Todoist
+ * @param {Array=} sections - Section objects from Todoist
+ * @returns {Array<{projectId: string, projectName: string, projectPath: Array<string>, tasks: Array, sections: Array}>}
+ *     Project groups; `projectName` is the breadcrumb title and each section is `{id, name, order, tasks}`
+ */
+function groupTasksByProjectAndSection(tasks, projects, sections) {
+  const hierarchy = buildProjectHierarchy(projects);
+  const inboxProject = projects.find(isInboxProject);
+  const sectionMap = new Map((sections || []).map(section => [section.id, section]));
+
+  const groupsById = {};
+  const sectionGroupsByProject = {};
+  tasks.forEach(task => {
+    const projectId = task.project_id || (inboxProject ? inboxProject.id : 'inbox');
+    if (!groupsById[projectId]) {
+      const entry = hierarchy.get(projectId);
+      let projectPath = entry ? entry.path : ['Unknown project (' + projectId + ')'];
+      if (projectId === 'inbox') projectPath = ['Inbox'];
+      groupsById[projectId] = {
+        projectId: projectId,
+        projectName: projectPath.join(PROJECT_BREADCRUMB_SEPARATOR),
+        projectPath: projectPath,
+        tasks: [],
+        sections: []
+      };
+      sectionGroupsByProject[projectId] = new Map();
+    }
+    const group = groupsById[projectId];
+
+    const section = task.section_id ? sectionMap.get(task.section_id) : null;
+    if (!section) {
+      group.tasks.push(task);
+      return;
+    }
+
+    const sectionGroups = sectionGroupsByProject[projectId];
+    if (!sectionGroups.has(section.id)) {
+      const sectionGroup = { id: section.id, name: section.name, order: section.order || 0, tasks: [] };
+      sectionGroups.set(section.id, sectionGroup);
+      group.sections.push(sectionGroup);
+    }
+    sectionGroups.get(section.id).tasks.push(task);
+  });
+
+  const sortIndex = projectId => {
+    if (projectId === 'inbox') return -1;
+    const entry = hierarchy.get(projectId);
+    return entry ? entry.index : Number.MAX_SAFE_INTEGER;
+  };
+  const sortedProjectIds = Object.keys(groupsById).sort((a, b) => sortIndex(a) - sortIndex(b));
+
+  return sortedProjectIds.map(projectId => {
+    const group = groupsById[projectId];
+    group.sections.sort((a, b) => a.order - b.order);
+    return group;
+  });
+}
+
+/**
+ * Groups completed tasks by project (in the same order as open tasks) and, within each
+ * project, by the day they were completed in the configured timezone, most recent first.
+ * @param {Array} completedTasks - Completed tasks, most recently completed first
+ * @param {Array} projects - Project objects from Todoist
+ * @returns {Array<{projectId: string, projectName: string, days: Array<{date: string, label: string, tasks: Array}>}>}
+ *     Project groups; `date` is yyyy-MM-dd and `label` the display date
+ */
+function groupCompletedTasks(completedTasks, projects) {
+  const timezone = getTimezone();
+  return groupTasksByProjectAndSection(completedTasks || [], projects || []).map(group => {
+    const days = [];
+    const daysByDate = new Map();
+    group.tasks.forEach(task => {
+      const completedAt = task.completed_at ? new Date(task.completed_at) : null;
+      const date = completedAt ? Utilities.formatDate(completedAt, timezone, 'yyyy-MM-dd') : '';
+      if (!daysByDate.has(date)) {
+        const label = completedAt ? Utilities.formatDate(completedAt, timezone, 'EEE, MMM d') : 'Unknown date';
+        daysByDate.set(date, { date: date, label: label, tasks: [] });
+        days.push(daysByDate.get(date));
+      }
+      daysByDate.get(date).tasks.push(task);
+    });
+    days.sort((a, b) => b.date.localeCompare(a.date));
+    days.forEach(day => day.tasks.sort((a, b) => (b.completed_at || '').localeCompare(a.completed_at || '')));
+    return { projectId: group.projectId, projectName: group.projectName, days: days };
+  });
+}
+
+/**
+ * Builds the snapshot model that every renderer consumes: the title and header facts,
+ * statistics, tasks grouped by project and section with their display fields already
+ * formatted, and the recently completed tasks. Renderers only decide how to lay these
+ * out, so every format shows the same facts.
+ * @param {{tasks: Array, rawTasks: Array=, projects: Array, sections: Array=, completedTasks: Array=}} data
+ *     Result of getTodoistData(): `tasks` have nested sub-tasks, `rawTasks` is the flat list
+ * @returns {Object} Snapshot model
+ */
+function buildSnapshotModel(data) {
+  const tasks = data.tasks || data.rawTasks || [];
+  const projects = data.projects || [];
+  const toItems = list => list.map(task => buildSnapshotItem(task, 0));
+
+  return {
+    title: 'Todoist Tasks for ' + new Date().toLocaleDateString(),
+    header: buildSnapshotHeader(tasks, projects),
+    statistics: buildTaskStatistics(data.rawTasks === undefined ? tasks : data.rawTasks, tasks, projects),
+    isEmpty: tasks.length === 0,
+    groups: groupTasksByProjectAndSection(tasks, projects, data.sections).map(group => ({
+      projectId: group.projectId,
+      projectName: group.projectName,
+      projectPath: group.projectPath,
+      items: toItems(group.tasks),
+      sections: group.sections.map(section => ({
+        id: section.id,
+        name: section.name,
+        order: section.order,
+        items: toItems(section.tasks)
+      }))
+    })),
+    completed: groupCompletedTasks(data.completedTasks, projects),
+    data: data
+  };
+}
+
+/**
+ * Builds the snapshot model of a team snapshot: a header for the whole team and, per
+ * member, their due counts and their own snapshot model.
+ * @param {Array} members - Team members from getTeamTodoistData()
+ * @returns {Object} Team snapshot model with a `members` array
+ */
+function buildTeamSnapshotModel(members) {
+  return {
+    title: 'Team Standup for ' + new Date().toLocaleDateString(),
+    header: [
+      `Export date: ${new Date().toLocaleString()}`,
+      `Timezone: ${getTimezone()}`,
+      `Team members: ${members.length}`
+    ],
+    members: members.map(member => ({
+      name: member.name,
+      error: member.error,
+      dueCounts: member.dueCounts,
+      summary: member.data ? `${formatDueCounts(member.dueCounts)} • Total tasks: ${member.data.tasks.length}` : null,
+      model: member.data ? buildSnapshotModel(member.data) : null
+    }))
+  };
+}
+
+/**
+ * Builds the model for whatever fetchSnapshotData() returned.
+ * @param {Object} data - Result of fetchSnapshotData()
+ * @returns {Object} Snapshot model, or team snapshot model in team mode
+ */
+function buildExportModel(data) {
+  return data.members ? buildTeamSnapshotModel(data.members) : buildSnapshotModel(data);
+}
+
+/**
+ * Lists the facts shown under the title: export date, timezone, totals and the task
+ * statistics that apply.
+ * @param {Array} tasks - Top-level tasks with nested sub-tasks
+ * @param {Array} projects - An array of project objects from Todoist
+ * @returns {Array<string>} Header facts
+ */
+function buildSnapshotHeader(tasks, projects) {
+  const header = [
+    `Export date: ${new Date().toLocaleString()}`,
+    `Timezone: ${getTimezone()}`,
+    `Total tasks: ${tasks.length}`,
+    `Total projects: ${projects.length}`
+  ];
+
+  let tasksWithLabels = 0;
+  let tasksWithComments = 0;
+  tasks.forEach(task => {
+    if (task.labels && task.labels.length > 0) tasksWithLabels++;
+    if (task.comment_count && task.comment_count > 0) tasksWithComments++;
+  });
+  const subtaskCount = countSubtasks(tasks);
+
+  if (tasksWithLabels > 0) header.push(`Tasks with labels: ${tasksWithLabels}`);
+  if (tasksWithComments > 0) header.push(`Tasks with comments: ${tasksWithComments}`);
+  if (subtaskCount > 0) header.push(`Sub-tasks: ${subtaskCount}`);
+  const assigneeSummary = formatAssigneeSummary(tasks);
+  if (assigneeSummary) header.push(assigneeSummary);
+  const recurrenceCounts = countRecurringTasks(tasks);
+  if (recurrenceCounts.recurring > 0) {
+    header.push(`Recurring: ${recurrenceCounts.recurring}, one-off: ${recurrenceCounts.oneOff}`);
+  }
+  return header;
+}
+
+// Todoist's API priorities (4 is most urgent) as shown in the app
+const TODOIST_PRIORITY_LABELS = { 4: 'P1', 3: 'P2', 2: 'P3', 1: 'P4' };
+
+/**
+ * Formats a task (and, recursively, its sub-tasks) for display. Every `...Text` field is
+ * ready to append after the content, including its leading space, or empty.
+ * @param {Object} task - The task object from Todoist, with optional nested `subtasks`
+ * @param {number} depth - Nesting level of the task (0 for top-level tasks)
+ * @returns {Object} Snapshot item with nested `children`
+ */
+function buildSnapshotItem(task, depth) {
+  const priority = TODOIST_PRIORITY_LABELS[task.priority] || 'P4';
+  const labels = task.labels || [];
+  const assignee = getAssigneeLabel(task);
+
+  const details = [];
+  if (task.comment_count && task.comment_count > 0) {
+    details.push(task.comment_count + ' comments');
+  }
+  if (task.created_at) {
+    details.push('created ' + Utilities.formatDate(new Date(task.created_at), getTimezone(), 'MMM d'));
+  }
+  if (task.subtasks_error) {
+    details.push('sub-tasks could not be loaded');
+  }
+
+  return {
+    id: task.id,
+    depth: depth,
+    content: task.content || '',
+    description: task.description || '',
+    priority: priority,
+    priorityPrefix: priority === 'P4' ? '' : '(' + priority + ') ',
+    dueText: formatDueDateString(task.due, task.duration),
+    recurrenceText: formatRecurrenceString(task),
+    deadlineText: formatDeadlineString(task.deadline),
+    assignee: assignee,
+    assigneeText: assignee ? ' @' + assignee : '',
+    labels: labels,
+    labelsText: labels.length > 0 ? ' [' + labels.join(', ') + ']' : '',
+    details: details,
+    detailsText: details.length > 0 ? ' (' + details.join(', ') + ')' : '',
+    url: task.url || null,
+    task: task,
+    children: (task.subtasks || []).map(subtask => buildSnapshotItem(subtask, depth + 1))
+  };
+}
+
+/**
+ * Clears a Google Doc and writes a grouped, formatted list of tasks.
+ * @param {Array} tasks - An array of task objects from Todoist.
+ * @param {Array} projects - An array of project objects from Todoist.
+ * @param {Array=} sections - An array of section objects from Todoist.
+ * @param {Array=} completedTasks - Recently completed tasks for the "Completed" section.
+ */
+function writeTasksToDoc(tasks, projects, sections, completedTasks) {
+  writeSnapshotToDoc(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks }));
+}
+
+/**
+ * Writes the team snapshot to the Google Doc: a section per team member with their
+ * overdue/today/upcoming counts, followed by their tasks grouped by project.
+ * @param {Array} members - Team members from getTeamTodoistData()
+ */
+function writeTeamToDoc(members) {
+  writeSnapshotToDoc(buildTeamSnapshotModel(members));
+}
+
+/**
+ * Clears the Google Doc and writes a snapshot model (see buildExportModel()). The model
+ * is complete before the Doc is touched, so the Doc is rewritten in a single pass;
+ * syncTodoist() only starts it when there is time to finish (see `writeMsPerTask`).
+ * @param {Object} model - Snapshot model, or team snapshot model
+ */
+function writeSnapshotToDoc(model) {
+  const body = DocumentApp.openById(getDocId()).getBody();
+  body.setText('');
+  appendSnapshotToDoc(body, model);
+}
+
+/**
+ * Appends the title, header and tasks of a snapshot model to an empty Doc body.
+ * @param {Body} body - The Google Docs body to append to
+ * @param {Object} model - Snapshot model, or team snapshot model
+ */
+function appendSnapshotToDoc(body, model) {
+  body.appendParagraph(model.title).setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  const metadataParagraph = body.appendParagraph(model.header.join(' • '));
+  metadataParagraph.setItalic(true);
+  body.appendParagraph(''); // Empty line
+
+  if (!model.members) {
+    appendSnapshotGroupsToDoc(body, model, 2);
+    return;
+  }
+
+  for (const member of model.members) {
+    body.appendParagraph(member.name).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    if (!member.model) {
+      body.appendParagraph('Could not load tasks: ' + member.error).setItalic(true);
+      continue;
+    }
+    body.appendParagraph(member.summary).setItalic(true);
+    appendSnapshotGroupsToDoc(body, member.model, 3);
+  }
+}
+
+/**
+ * Returns the Google Docs heading for a level, capped at the deepest heading Docs has.
+ * @param {number} level - Heading level (1 is the largest)
+ * @returns {ParagraphHeading} The heading
+ */
+function getDocHeading(level) {
+  return DocumentApp.ParagraphHeading['HEADING' + Math.min(level, 6)];
+}
+
+/**
+ * Appends a snapshot's tasks grouped by project and section, followed by the "Completed" section.
+ * @param {Body} body - The Google Docs body to append to.
+ * @param {Object} model - Snapshot model from buildSnapshotModel().
+ * @param {number} headingLevel - Heading level of project titles; sections use the next level.
+ */
+function appendSnapshotGroupsToDoc(body, model, headingLevel) {
+  if (model.isEmpty) {
+    body.appendParagraph('No tasks due today.');
+  }
+
+  for (const group of model.groups) {
+    body.appendParagraph(group.projectName).setHeading(getDocHeading(headingLevel));
+    
+    for (const item of group.items) {
+      appendItemTreeToDoc(body, item);
+    }
+
+    for (const section of group.sections) {
+      body.appendParagraph(section.name).setHeading(getDocHeading(headingLevel + 1));
+      for (const item of section.items) {
+        appendItemTreeToDoc(body, item);
+      }
+    }
+  }
+
+  if (model.completed.length > 0) {
+    appendCompletedTasksToDoc(body, model.completed, headingLevel);
+  }
+}
+
+/**
+ * Appends the "Completed" section: a heading per project, the completion date in
+ * italics, and each completed task struck through.
+ * @param {Body} body - The Google Docs body to append to.
+ * @param {Array} completedGroups - Completed tasks grouped by groupCompletedTasks().
+ * @param {number=} headingLevel - Heading level of the section title (default: 2).
+ */
+function appendCompletedTasksToDoc(body, completedGroups, headingLevel) {
+  const level = headingLevel || 2;
+  body.appendParagraph('Completed').setHeading(getDocHeading(level));
+
+  for (const group of completedGroups) {
+    body.appendParagraph(group.projectName).setHeading(getDocHeading(level + 1));
+    for (const day of group.days) {
+      body.appendParagraph(day.label).setItalic(true);
+      for (const task of day.tasks) {
+        const listItem = body.appendListItem(task.content || '');
+        listItem.editAsText().setStrikethrough(true);
+      }
+    }
+  }
+}
+
+/**
+ * Appends a snapshot item and all of its sub-tasks to the document, nesting each level.
+ * @param {Body} body - The Google Docs body to append to.
+ * @param {Object} item - Snapshot item from buildSnapshotItem().
+ */
+function appendItemTreeToDoc(body, item) {
+  const listItem = body.appendListItem('');
+  formatDocListItem(listItem, item);
+
+  if (item.task.comments && item.task.comments.length > 0) {
+    appendCommentsToDoc(body, item.task, item.depth + 1);
+  }
+
+  for (const child of item.children) {
+    appendItemTreeToDoc(body, child);
+  }
+}
+
+/**
+ * Appends a task's comments as indented paragraphs beneath it, with the comment
+ * heading in italics and each attachment as a linked paragraph.
+ * @param {Body} body - The Google Docs body to append to.
+ * @param {Object} task - Task with a `comments` array.
+ * @param {number} depth - Indentation level of the comments.
+ */
+function appendCommentsToDoc(body, task, depth) {
+  const indent = 36 * depth;
+  const appendIndented = text => {
+    const paragraph = body.appendParagraph(text);
+    paragraph.setIndentStart(indent);
+    paragraph.setIndentFirstLine(indent);
+    return paragraph;
+  };
+
+  if (task.omitted_comment_count > 0) {
+    appendIndented('(' + task.omitted_comment_count + ' earlier comments not shown)').setItalic(true);
+  }
+
+  for (const comment of task.comments) {
+    const heading = formatCommentHeading(comment);
+    const paragraph = appendIndented(comment.content ? heading + ': ' + comment.content : heading);
+    paragraph.editAsText().setItalic(0, heading.length - 1, true);
+
+    const attachment = comment.attachment;
+    if (attachment && attachment.file_url) {
+      appendIndented('Attachment: ' + (attachment.file_name || attachment.file_url)).setLinkUrl(attachment.file_url);
+    }
+  }
+}
+
+/**
+ * Builds a plain-text representation of the tasks grouped by project and section.
+ * @param {Array} tasks
+ * @param {Array} projects
+ * @param {Array=} sections
+ * @param {Array=} completedTasks
+ * @returns {string}
+ */
+function buildPlainTextForTasks(tasks, projects, sections, completedTasks) {
+  return renderSnapshotText(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks }));
+}
+
+/**
+ * Builds the plain-text team snapshot: a section per team member, underlined, with their
+ * overdue/today/upcoming counts followed by their tasks grouped by project.
+ * @param {Array} members - Team members from getTeamTodoistData()
+ * @returns {string} The text export
+ */
+function buildPlainTextForTeam(members) {
+  return renderSnapshotText(buildTeamSnapshotModel(members));
+}
+
+/**
+ * Renders a snapshot model (see buildExportModel()) as plain text.
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {string} The text export
+ */
+function renderSnapshotText(model) {
+  var lines = [];
+  lines.push(model.title);
+  lines.push(model.header.join(' • '));
+  lines.push('');
+
+  if (!model.members) {
+    debugLog('=== TEXT EXPORT DEBUG ===');
+    debugLog('Tasks received: ' + (model.data.tasks ? model.data.tasks.length : 'null'));
+    debugLog('Total sub-tasks found: ' + model.statistics.subtaskCount);
+    appendSnapshotGroupLines(lines, model);
+    return lines.join('\n');
+  }
+
+  model.members.forEach(function(member) {
+    lines.push(member.name);
+    lines.push(new Array(member.name.length + 1).join('='));
+    if (!member.model) {
+      lines.push('Could not load tasks: ' + member.error);
+    } else {
+      lines.push(member.summary);
+      lines.push('');
+      appendSnapshotGroupLines(lines, member.model);
+    }
+    if (lines[lines.length - 1] !== '') lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Appends a snapshot's tasks grouped by project and section, followed by the "Completed" section.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} model - Snapshot model from buildSnapshotModel()
+ */
+function appendSnapshotGroupLines(lines, model) {
+  if (model.isEmpty) {
+    lines.push('No tasks due today.');
+  }
+
+  model.groups.forEach(function(group) {
+    lines.push(group.projectName + ':');
+
+    group.items.forEach(function(item) {
+      appendItemLines(lines, item, 0);
+    });
+
+    // Section titles are indented under the project, and their tasks one level further
+    group.sections.forEach(function(section) {
+      lines.push('  ' + section.name + ':');
+      section.items.forEach(function(item) {
+        appendItemLines(lines, item, 1);
+      });
+    });
+
+    lines.push('');
+  });
+
+  appendCompletedTaskLines(lines, model.completed);
+}
+
+/**
+ * Appends the "Completed" section to the plain-text lines: each project, then each
+ * completion date, then the tasks completed that day marked "[x]".
+ * @param {Array} lines - Output lines to append to
+ * @param {Array} completedGroups - Completed tasks grouped by groupCompletedTasks()
+ */
+function appendCompletedTaskLines(lines, completedGroups) {
+  if (completedGroups.length === 0) return;
+
+  if (lines[lines.length - 1] !== '') lines.push('');
+  lines.push('Completed:');
+  completedGroups.forEach(function(group) {
+    lines.push(group.projectName + ':');
+    group.days.forEach(function(day) {
+      lines.push('  ' + day.label + ':');
+      day.tasks.forEach(function(task) {
+        lines.push('  [x] ' + (task.content || ''));
+      });
+    });
+  });
+}
+
+/**
+ * Appends the plain-text lines for a snapshot item and all of its sub-tasks, indenting
+ * two spaces per nesting level.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} item - Snapshot item from buildSnapshotItem()
+ * @param {number} depth - Indentation level of the item
+ */
+function appendItemLines(lines, item, depth) {
+  var indent = new Array(depth + 1).join('  ');
+
+  lines.push(indent + '- ' + item.priorityPrefix + item.content + item.dueText + item.recurrenceText +
+    item.deadlineText + item.assigneeText + item.labelsText + item.detailsText);
+
+  // Add description as blockquote if it exists
+  item.description.split('\n').forEach(function(descriptionLine) {
+    if (descriptionLine.trim()) {
+      lines.push(indent + '  > ' + descriptionLine.trim());
+    }
+  });
+
+  if (item.task.comments && item.task.comments.length > 0) {
+    appendCommentLines(lines, item.task, indent + '  ');
+  }
+
+  item.children.forEach(function(child) {
+    appendItemLines(lines, child, depth + 1);
+  });
+}
+
+/**
+ * Appends a task's comments beneath it. Continuation lines and attachments are
+ * indented under the comment heading.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} task - Task with a `comments` array
+ * @param {string} indent - Indentation of the comment headings
+ */
+function appendCommentLines(lines, task, indent) {
+  if (task.omitted_comment_count > 0) {
+    lines.push(indent + '(' + task.omitted_comment_count + ' earlier comments not shown)');
+  }
+
+  task.comments.forEach(function(comment) {
+    var contentLines = (comment.content || '').split('\n').filter(function(line) { return line.trim(); });
+    lines.push(indent + formatCommentHeading(comment) + (contentLines.length > 0 ? ': ' + contentLines[0].trim() : ''));
+    for (var c = 1; c < contentLines.length; c++) {
+      lines.push(indent + '  ' + contentLines[c].trim());
+    }
+
+    var attachment = comment.attachment;
+    if (attachment && attachment.file_url) {
+      lines.push(indent + '  Attachment: ' + (attachment.file_name ? attachment.file_name + ' ' : '') + '<' + attachment.file_url + '>');
+    }
+  });
+}
+
+/**
+ * Writes the tasks to a plain text file in Drive (overwrites file content).
+ * @param {Array} tasks
+ * @param {Array} projects
+ * @param {Array=} sections
+ * @param {Array=} completedTasks
+ */
+function writeTasksToTextFile(tasks, projects, sections, completedTasks) {
+  var exporter = getExporterById('text');
+  exporter.write(exporter.render(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks })));
+}
+
+/**
+ * Writes the team snapshot to the plain text file in Drive (overwrites file content).
+ * @param {Array} members - Team members from getTeamTodoistData()
+ */
+function writeTeamToTextFile(members) {
+  var exporter = getExporterById('text');
+  exporter.write(exporter.render(buildTeamSnapshotModel(members)));
+}
+
+/**
+ * Builds a Markdown representation of the tasks grouped by project and section.
+ * @param {Array} tasks
+ * @param {Array} projects
+ * @param {Array=} sections
+ * @param {Array=} completedTasks
+ * @returns {string}
+ */
+function buildMarkdownForTasks(tasks, projects, sections, completedTasks) {
+  return renderSnapshotMarkdown(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks }));
+}
+
+/**
+ * Renders a snapshot model (see buildExportModel()) as GitHub-flavored Markdown: a heading
+ * per project and section, and a task list item per task with its sub-tasks nested below.
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {string} The Markdown export
+ */
+function renderSnapshotMarkdown(model) {
+  var lines = [];
+  lines.push('# ' + model.title);
+  lines.push('');
+  lines.push('_' + model.header.join(' • ') + '_');
+  lines.push('');
+
+  if (!model.members) {
+    appendSnapshotGroupMarkdown(lines, model, 2);
+    return lines.join('\n');
+  }
+
+  model.members.forEach(function(member) {
+    lines.push('## ' + member.name);
+    lines.push('');
+    if (!member.model) {
+      lines.push('_Could not load tasks: ' + member.error + '_');
+      lines.push('');
+      return;
+    }
+    lines.push('_' + member.summary + '_');
+    lines.push('');
+    appendSnapshotGroupMarkdown(lines, member.model, 3);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Returns a Markdown heading, capped at the deepest heading Markdown has.
+ * @param {number} level - Heading level (1 is the largest)
+ * @param {string} text - Heading text
+ * @returns {string} The heading line
+ */
+function formatMarkdownHeading(level, text) {
+  return new Array(Math.min(level, 6) + 1).join('#') + ' ' + text;
+}
+
+/**
+ * Appends a snapshot's tasks grouped by project and section, followed by the "Completed" section.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} model - Snapshot model from buildSnapshotModel()
+ * @param {number} headingLevel - Heading level of project titles; sections use the next level
+ */
+function appendSnapshotGroupMarkdown(lines, model, headingLevel) {
+  if (model.isEmpty) {
+    lines.push('No tasks due today.');
+    lines.push('');
+  }
+
+  model.groups.forEach(function(group) {
+    lines.push(formatMarkdownHeading(headingLevel, group.projectName));
+    lines.push('');
+    group.items.forEach(function(item) {
+      appendItemMarkdown(lines, item, 0);
+    });
+    if (group.items.length > 0) lines.push('');
+
+    group.sections.forEach(function(section) {
+      lines.push(formatMarkdownHeading(headingLevel + 1, section.name));
+      lines.push('');
+      section.items.forEach(function(item) {
+        appendItemMarkdown(lines, item, 0);
+      });
+      lines.push('');
+    });
+  });
+
+  if (model.completed.length === 0) return;
+
+  lines.push(formatMarkdownHeading(headingLevel, 'Completed'));
+  lines.push('');
+  model.completed.forEach(function(group) {
+    lines.push(formatMarkdownHeading(headingLevel + 1, group.projectName));
+    lines.push('');
+    group.days.forEach(function(day) {
+      lines.push('_' + day.label + '_');
+      lines.push('');
+      day.tasks.forEach(function(task) {
+        lines.push('- [x] ' + (task.content || ''));
+      });
+      lines.push('');
+    });
+  });
+}
+
+/**
+ * Appends the task list item of a snapshot item: the bold content followed by its details,
+ * labels as `@label` code spans and a link to the task. The description and comments are
+ * indented beneath it so they belong to the item, and sub-tasks are nested lists.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} item - Snapshot item from buildSnapshotItem()
+ * @param {number} depth - Nesting level of the item
+ */
+function appendItemMarkdown(lines, item, depth) {
+  var indent = new Array(depth + 1).join('  ');
+  var childIndent = indent + '  ';
+
+  var labels = item.labels.map(function(label) { return ' `@' + label + '`'; }).join('');
+  var link = item.url ? ' [↗](' + item.url + ')' : '';
+  var content = item.content ? '**' + item.content + '**' : '';
+  lines.push(indent + '- [ ] ' + item.priorityPrefix + content + item.dueText + item.recurrenceText +
+    item.deadlineText + item.assigneeText + labels + item.detailsText + link);
+
+  if (item.description) {
+    lines.push('');
+    item.description.split('\n').forEach(function(descriptionLine) {
+      lines.push(descriptionLine.trim() ? childIndent + descriptionLine.trim() : '');
+    });
+    lines.push('');
+  }
+
+  if (item.task.comments && item.task.comments.length > 0) {
+    appendCommentMarkdown(lines, item.task, childIndent);
+  }
+
+  item.children.forEach(function(child) {
+    appendItemMarkdown(lines, child, depth + 1);
+  });
+}
+
+/**
+ * Appends a task's comments beneath it as a block quote, with the comment heading in
+ * italics and attachments as links.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} task - Task with a `comments` array
+ * @param {string} indent - Indentation of the block quote
+ */
+function appendCommentMarkdown(lines, task, indent) {
+  if (lines[lines.length - 1] !== '') lines.push('');
+  if (task.omitted_comment_count > 0) {
+    lines.push(indent + '> _(' + task.omitted_comment_count + ' earlier comments not shown)_');
+    lines.push(indent + '>');
+  }
+
+  task.comments.forEach(function(comment, index) {
+    if (index > 0) lines.push(indent + '>');
+    var contentLines = (comment.content || '').split('\n').filter(function(line) { return line.trim(); });
+    lines.push(indent + '> _' + formatCommentHeading(comment) + '_' + (contentLines.length > 0 ? ': ' + contentLines[0].trim() : ''));
+    for (var c = 1; c < contentLines.length; c++) {
+      lines.push(indent + '> ' + contentLines[c].trim());
+    }
+
+    var attachment = comment.attachment;
+    if (attachment && attachment.file_url) {
+      lines.push(indent + '> Attachment: [' + (attachment.file_name || attachment.file_url) + '](' + attachment.file_url + ')');
+    }
+  });
+  lines.push('');
+}
+
+// Colors of Todoist's priority flags, used by the HTML export
+const HTML_PRIORITY_COLORS = { P1: '#d1453b', P2: '#eb8909', P3: '#246fe0', P4: '#808080' };
+
+/**
+ * Builds the style sheet of the HTML export. It is inlined so the page works on its own in
+ * Drive's preview.
+ * @returns {string} CSS
+ */
+function buildHtmlStyleSheet() {
+  return [
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 800px; padding: 16px; color: #202020; line-height: 1.4; }',
+    'h1 { font-size: 1.5em; margin-bottom: 4px; }',
+    'summary { cursor: pointer; }',
+    'summary > * { display: inline; }',
+    'details { margin: 16px 0; }',
+    '.meta, .summary, .day { color: #666; font-style: italic; }',
+    'ul.tasks { list-style: none; padding-left: 0; }',
+    'ul.tasks ul.tasks { padding-left: 24px; }',
+    '.task { border-left: 4px solid ' + HTML_PRIORITY_COLORS.P4 + '; margin: 6px 0; padding: 2px 8px; }',
+    '.task.p1 { border-left-color: ' + HTML_PRIORITY_COLORS.P1 + '; }',
+    '.task.p2 { border-left-color: ' + HTML_PRIORITY_COLORS.P2 + '; }',
+    '.task.p3 { border-left-color: ' + HTML_PRIORITY_COLORS.P3 + '; }',
+    '.priority { font-weight: bold; }',
+    '.p1 > .priority { color: ' + HTML_PRIORITY_COLORS.P1 + '; }',
+    '.p2 > .priority { color: ' + HTML_PRIORITY_COLORS.P2 + '; }',
+    '.p3 > .priority { color: ' + HTML_PRIORITY_COLORS.P3 + '; }',
+    '.due, .recurrence, .assignee, .details { color: #666; }',
+    '.deadline { color: ' + DEADLINE_COLOR + '; }',
+    '.label { background: #eee; border-radius: 4px; font-size: 0.85em; padding: 0 4px; }',
+    '.description { color: #444; margin: 4px 0; }',
+    '.comment { border-left: 2px solid #ddd; color: #444; margin: 4px 0; padding-left: 8px; }',
+    '.done { color: #808080; text-decoration: line-through; }',
+    'a { color: #246fe0; }'
+  ].join('\n');
+}
+
+/**
+ * Builds a self-contained HTML page of the tasks grouped by project and section.
+ * @param {Array} tasks
+ * @param {Array} projects
+ * @param {Array=} sections
+ * @param {Array=} completedTasks
+ * @returns {string}
+ */
+function buildHtmlForTasks(tasks, projects, sections, completedTasks) {
+  return renderSnapshotHtml(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks }));
+}
+
+/**
+ * Renders a snapshot model (see buildExportModel()) as a self-contained HTML page: inline
+ * CSS, tasks colored by priority and a collapsible section per project. It needs no
+ * scripts, so it can be read in Drive's preview.
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {string} The HTML export
+ */
+function renderSnapshotHtml(model) {
+  var lines = [];
+  lines.push('<!DOCTYPE html>');
+  lines.push('<html lang="en">');
+  lines.push('<head>');
+  lines.push('<meta charset="utf-8">');
+  lines.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+  lines.push('<title>' + escapeHtml(model.title) + '</title>');
+  lines.push('<style>');
+  lines.push(buildHtmlStyleSheet());
+  lines.push('</style>');
+  lines.push('</head>');
+  lines.push('<body>');
+  lines.push('<h1>' + escapeHtml(model.title) + '</h1>');
+  lines.push('<p class="meta">' + escapeHtml(model.header.join(' • ')) + '</p>');
+
+  if (!model.members) {
+    appendSnapshotGroupHtml(lines, model, 2);
+  } else {
+    model.members.forEach(function(member) {
+      lines.push('<section class="member">');
+      lines.push('<h2>' + escapeHtml(member.name) + '</h2>');
+      if (!member.model) {
+        lines.push('<p class="summary">Could not load tasks: ' + escapeHtml(String(member.error)) + '</p>');
+      } else {
+        lines.push('<p class="summary">' + escapeHtml(member.summary) + '</p>');
+        appendSnapshotGroupHtml(lines, member.model, 3);
+      }
+      lines.push('</section>');
+    });
+  }
+
+  lines.push('</body>');
+  lines.push('</html>');
+  return lines.join('\n');
+}
+
+/**
+ * Appends a snapshot's tasks as a collapsible section per project, followed by the
+ * "Completed" section.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} model - Snapshot model from buildSnapshotModel()
+ * @param {number} headingLevel - Heading level of project titles; sections use the next level
+ */
+function appendSnapshotGroupHtml(lines, model, headingLevel) {
+  var projectHeading = 'h' + Math.min(headingLevel, 6);
+  var sectionHeading = 'h' + Math.min(headingLevel + 1, 6);
+
+  if (model.isEmpty) {
+    lines.push('<p>No tasks due today.</p>');
+  }
+
+  model.groups.forEach(function(group) {
+    lines.push('<details class="project" open>');
+    lines.push('<summary><' + projectHeading + '>' + escapeHtml(group.projectName) + '</' + projectHeading + '></summary>');
+    appendItemListHtml(lines, group.items);
+    group.sections.forEach(function(section) {
+      lines.push('<' + sectionHeading + '>' + escapeHtml(section.name) + '</' + sectionHeading + '>');
+      appendItemListHtml(lines, section.items);
+    });
+    lines.push('</details>');
+  });
+
+  if (model.completed.length === 0) return;
+
+  lines.push('<details class="completed" open>');
+  lines.push('<summary><' + projectHeading + '>Completed</' + projectHeading + '></summary>');
+  model.completed.forEach(function(group) {
+    lines.push('<' + sectionHeading + '>' + escapeHtml(group.projectName) + '</' + sectionHeading + '>');
+    group.days.forEach(function(day) {
+      lines.push('<p class="day">' + escapeHtml(day.label) + '</p>');
+      lines.push('<ul class="tasks">');
+      day.tasks.forEach(function(task) {
+        lines.push('<li class="done">' + convertTodoistMarkdownToHtml(task.content || '') + '</li>');
+      });
+      lines.push('</ul>');
+    });
+  });
+  lines.push('</details>');
+}
+
+/**
+ * Appends snapshot items, and recursively their sub-tasks, as a task list.
+ * @param {Array} lines - Output lines to append to
+ * @param {Array} items - Snapshot items from buildSnapshotItem()
+ */
+function appendItemListHtml(lines, items) {
+  if (items.length === 0) return;
+
+  lines.push('<ul class="tasks">');
+  items.forEach(function(item) {
+    var pieces = [];
+    if (item.priorityPrefix) pieces.push('<span class="priority">' + item.priority + '</span>');
+    pieces.push('<strong class="content">' + convertTodoistMarkdownToHtml(item.content) + '</strong>');
+    if (item.dueText) pieces.push('<span class="due">' + escapeHtml(item.dueText.trim()) + '</span>');
+    if (item.recurrenceText) pieces.push('<span class="recurrence">' + escapeHtml(item.recurrenceText.trim()) + '</span>');
+    if (item.deadlineText) pieces.push('<span class="deadline">' + escapeHtml(item.deadlineText.trim()) + '</span>');
+    if (item.assigneeText) pieces.push('<span class="assignee">' + escapeHtml(item.assigneeText.trim()) + '</span>');
+    item.labels.forEach(function(label) {
+      pieces.push('<span class="label">@' + escapeHtml(label) + '</span>');
+    });
+    if (item.detailsText) pieces.push('<span class="details">' + escapeHtml(item.detailsText.trim()) + '</span>');
+    if (item.url) pieces.push('<a href="' + escapeHtml(item.url) + '" title="Open in Todoist">↗</a>');
+
+    lines.push('<li class="task ' + item.priority.toLowerCase() + '">' + pieces.join(' '));
+    if (item.description) {
+      item.description.split(/\n\s*\n/).forEach(function(paragraph) {
+        if (paragraph.trim()) {
+          lines.push('<p class="description">' + convertTodoistMarkdownToHtml(paragraph.trim()).replace(/\n/g, '<br>') + '</p>');
+        }
+      });
+    }
+    if (item.task.comments && item.task.comments.length > 0) {
+      appendCommentHtml(lines, item.task);
+    }
+    appendItemListHtml(lines, item.children);
+    lines.push('</li>');
+  });
+  lines.push('</ul>');
+}
+
+/**
+ * Appends a task's comments as quotes, with the comment heading in italics and
+ * attachments as links.
+ * @param {Array} lines - Output lines to append to
+ * @param {Object} task - Task with a `comments` array
+ */
+function appendCommentHtml(lines, task) {
+  if (task.omitted_comment_count > 0) {
+    lines.push('<p class="comment"><em>(' + task.omitted_comment_count + ' earlier comments not shown)</em></p>');
+  }
+
+  task.comments.forEach(function(comment) {
+    var html = '<em>' + escapeHtml(formatCommentHeading(comment)) + '</em>';
+    if (comment.content) {
+      html += ': ' + convertTodoistMarkdownToHtml(comment.content.trim()).replace(/\n/g, '<br>');
+    }
+    var attachment = comment.attachment;
+    if (attachment && attachment.file_url) {
+      html += '<br>Attachment: ' + formatHtmlLink(attachment.file_name || attachment.file_url, attachment.file_url);
+    }
+    lines.push('<blockquote class="comment">' + html + '</blockquote>');
+  });
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds a link, or just the escaped text when the URL is not a web, mail or Todoist link.
+ * @param {string} text - Link text (not yet escaped)
+ * @param {string} url - Link target
+ * @returns {string} HTML
+ */
+function formatHtmlLink(text, url) {
+  if (!/^(https?:|mailto:|todoist:)/i.test(url)) return escapeHtml(text);
+  return '<a href="' + escapeHtml(url) + '">' + escapeHtml(text) + '</a>';
+}
+
+/**
+ * Converts the Markdown Todoist allows in task content, descriptions and comments
+ * (links, **bold** and *italics*, the same as formatDocListItem()) to escaped HTML.
+ * @param {string} text - Text with Todoist Markdown
+ * @returns {string} HTML
+ */
+function convertTodoistMarkdownToHtml(text) {
+  var links = [];
+  var withPlaceholders = String(text || '').replace(/\[([^\]]+)\]\(([^)]+)\)/g, function(match, linkText, url) {
+    links.push(formatHtmlLink(linkText, url));
+    return '\u0000' + (links.length - 1) + '\u0000';
+  });
+
+  return escapeHtml(withPlaceholders)
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/\u0000(\d+)\u0000/g, function(match, index) { return links[Number(index)]; });
+}
+
+// Columns of the CSV export, by the names CSV_COLUMNS accepts, with the value of a row.
+// `row` is {item, parentId, projectName, sectionName}; item is a snapshot item.
+const CSV_COLUMN_VALUES = {
+  id: row => row.item.id,
+  parent_id: row => row.parentId,
+  project: row => row.projectName,
+  section: row => row.sectionName,
+  content: row => row.item.content,
+  description: row => row.item.description,
+  priority: row => row.item.priority,
+  due_date: row => row.item.task.due && row.item.task.due.date ? row.item.task.due.date.slice(0, 10) : '',
+  due_datetime: row => row.item.task.due && row.item.task.due.datetime || '',
+  deadline: row => row.item.task.deadline && row.item.task.deadline.date || '',
+  assignee: row => row.item.assignee,
+  labels: row => row.item.labels.join(', '),
+  comment_count: row => row.item.task.comment_count || 0,
+  created_at: row => row.item.task.created_at,
+  url: row => row.item.url
+};
+
+// Columns written when CSV_COLUMNS is not set
+const DEFAULT_CSV_COLUMNS = [
+  'id', 'parent_id', 'project', 'section', 'content', 'description', 'priority',
+  'due_date', 'due_datetime', 'labels', 'comment_count', 'created_at', 'url'
+];
+
+/**
+ * Builds a CSV export of the tasks: one row per task and sub-task.
+ * @param {Array} tasks
+ * @param {Array} projects
+ * @param {Array=} sections
+ * @returns {string}
+ */
+function buildCsvForTasks(tasks, projects, sections) {
+  return renderSnapshotCsv(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections }));
+}
+
+/**
+ * Renders a snapshot model (see buildExportModel()) as CSV (RFC 4180).
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {string} The CSV export
+ */
+function renderSnapshotCsv(model) {
+  return formatCsv(buildTaskTable(model));
+}
+
+/**
+ * Builds the task table shared by the CSV and Google Sheets exports: a header row, then a
+ * row per task and sub-task with the columns of getCsvColumns(). Team snapshots start
+ * every row with the person's name in a `member` column, and a person whose tasks could
+ * not be fetched gets a single row saying so (in the `content` column when there is one).
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {Array<Array>} Header row followed by the task rows; missing values are ''
+ */
+function buildTaskTable(model) {
+  var columns = getCsvColumns();
+  var toValues = function(row) {
+    return columns.map(function(column) {
+      var value = CSV_COLUMN_VALUES[column](row);
+      return value === null || value === undefined ? '' : value;
+    });
+  };
+
+  if (!model.members) {
+    return [columns].concat(collectCsvRows(model).map(toValues));
+  }
+
+  var rows = [];
+  var messageColumn = Math.max(columns.indexOf('content'), 0);
+  model.members.forEach(function(member) {
+    if (!member.model) {
+      var values = columns.map(function() { return ''; });
+      values[messageColumn] = 'Could not load tasks: ' + member.error;
+      rows.push([member.name].concat(values));
+      return;
+    }
+    collectCsvRows(member.model).forEach(function(row) {
+      rows.push([member.name].concat(toValues(row)));
+    });
+  });
+  return [['member'].concat(columns)].concat(rows);
+}
+
+/**
+ * Lists the rows of the CSV export: every snapshot item, sub-tasks right after their
+ * parent, in project and section order.
+ * @param {Object} model - Snapshot model from buildSnapshotModel()
+ * @returns {Array<{item: Object, parentId: string, projectName: string, sectionName: string}>} Rows
+ */
+function collectCsvRows(model) {
+  var rows = [];
+  var addItems = function(items, parentId, projectName, sectionName) {
+    items.forEach(function(item) {
+      rows.push({ item: item, parentId: item.task.parent_id || parentId, projectName: projectName, sectionName: sectionName });
+      addItems(item.children, item.id, projectName, sectionName);
+    });
+  };
+
+  model.groups.forEach(function(group) {
+    addItems(group.items, '', group.projectName, '');
+    group.sections.forEach(function(section) {
+      addItems(section.items, '', group.projectName, section.name);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Formats rows as CSV (RFC 4180): fields with commas, quotes or line breaks are quoted,
+ * quotes are doubled and records end with CRLF. Text that a spreadsheet would run as a
+ * formula is escaped with escapeSpreadsheetFormula().
+ * @param {Array<Array>} rows - Rows of field values
+ * @returns {string} CSV
+ */
+function formatCsv(rows) {
+  return rows.map(function(row) {
+    return row.map(function(value) {
+      var field = value === null || value === undefined ? '' : String(escapeSpreadsheetFormula(value));
+      return /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+    }).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guards against formula injection (OWASP "CSV injection"): task text starting with = or @,
+ * or with + or - right before a term, would be run as a formula when the export is opened in
+ * a spreadsheet, so it gets a leading apostrophe, which spreadsheets read as "this is text".
+ * A + or - followed by a space, like a Markdown list item in a description, is left as it is.
+ * @param {*} value - Field value
+ * @returns {*} The value, with an apostrophe in front when it is text that looks like a formula
+ */
+function escapeSpreadsheetFormula(value) {
+  return typeof value === 'string' && /^(?:[=@]|[+\-](?!\s|$))/.test(value) ? "'" + value : value;
+}
+
+// Row backgrounds of the Google Sheets export's "Tasks" tab
+const SHEET_HIGHLIGHT_COLORS = { overdue: '#f4cccc', p1: '#fce5cd' };
+/**
+ * Writes a snapshot model (see buildExportModel()) to the Google Sheet: the task table of
+ * the CSV export on a "Tasks" tab, and task counts per project and per due day on a
+ * "Summary" tab. Both tabs are created when missing and otherwise kept, so formulas,
+ * charts and links that point at them keep working. Every value is worked out before
+ * the spreadsheet is touched, and each tab is then rewritten with a single setValues().
+ * @param {Object} model - Snapshot model, or team snapshot model
+ */
+function writeSnapshotToSheet(model) {
+  const taskTable = buildTaskTable(model);
+  const summaryTables = buildSummaryTables(model);
+  const spreadsheet = SpreadsheetApp.openById(getSheetId());
+  writeTasksSheet(getOrCreateSheet(spreadsheet, 'Tasks'), taskTable);
+  writeSummarySheet(getOrCreateSheet(spreadsheet, 'Summary'), summaryTables);
+}
+
+/**
+ * Returns the tab with the given name, adding it when it doesn't exist yet.
+ * @param {Spreadsheet} spreadsheet - The spreadsheet
+ * @param {string} name - Tab name
+ * @returns {Sheet} The tab
+ */
+function getOrCreateSheet(spreadsheet, name) {
+  return spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+}
+
+/**
+ * Clears a tab, including its filter and conditional formatting.
+ * @param {Sheet} sheet - The tab to clear
+ */
+function resetSheet(sheet) {
+  const filter = sheet.getFilter();
+  if (filter) filter.remove();
+  sheet.clearConditionalFormatRules();
+  sheet.clear();
+}
 
-      // Validate HTTP status code before parsing JSON
-      if (subTaskResponse.getResponseCode() !== 200) {
-        throw new Error('Failed to fetch sub-tasks for task ' + task.id + '. Status: ' + subTaskResponse.getResponseCode() + ', Response: ' + subTaskResponse.getContentText());
-      }
+/**
+ * Writes the task table with a frozen, filterable header row. Values are stored as plain
+ * text, except comment counts, so IDs and dates are kept exactly as exported, and text
+ * that looks like a formula is escaped as in the CSV export. Rows of overdue tasks and of
+ * P1 tasks are highlighted when the table has a `due_date` or `priority` column.
+ * @param {Sheet} sheet - The "Tasks" tab
+ * @param {Array<Array>} table - Header row followed by the task rows (see buildTaskTable())
+ */
+function writeTasksSheet(sheet, table) {
+  resetSheet(sheet);
 
-      // Validate response content looks like JSON
-      const subTaskContent = subTaskResponse.getContentText();
-      if (!subTaskContent.trim().startsWith('[') && !subTaskContent.trim().startsWith('{')) {
-        throw new Error('Invalid JSON response from Todoist sub-tasks API for task ' + task.id + '. Response content: ' + subTaskContent.substring(0, 200));
-      }
+  const header = table[0];
+  const range = sheet.getRange(1, 1, table.length, header.length);
+  range.setNumberFormat('@');
+  const commentColumn = header.indexOf('comment_count');
+  if (commentColumn !== -1 && table.length > 1) {
+    sheet.getRange(2, commentColumn + 1, table.length - 1, 1).setNumberFormat('0');
+  }
+  range.setValues(table.map(row => row.map(escapeSpreadsheetFormula)));
+  sheet.getRange(1, 1, 1, header.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  range.createFilter();
 
-      const subTasks = JSON.parse(subTaskContent);
-      
-      if (subTasks && subTasks.length > 0) {
-        debugLog('Found ' + subTasks.length + ' sub-tasks for task: ' + task.content);
-        task.subtasks = subTasks;
-      } else {
-        task.subtasks = [];
-      }
-    } catch (error) {
-      debugLog('Error fetching sub-tasks for task ' + task.id + ': ' + error.toString());
-      task.subtasks = [];
-    }
-    
-    result.push(task);
+  if (table.length < 2) return;
+
+  const dataRange = sheet.getRange(2, 1, table.length - 1, header.length);
+  const rules = [];
+  const dueColumn = header.indexOf('due_date');
+  if (dueColumn !== -1) {
+    const cell = '$' + getSheetColumnLetter(dueColumn + 1) + '2';
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(`=AND(${cell}<>"", DATEVALUE(${cell})<TODAY())`)
+      .setBackground(SHEET_HIGHLIGHT_COLORS.overdue)
+      .setRanges([dataRange])
+      .build());
   }
-  
-  debugLog('Final result: ' + result.length + ' tasks with sub-tasks attached');
-  return result;
+  const priorityColumn = header.indexOf('priority');
+  if (priorityColumn !== -1) {
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(`=$${getSheetColumnLetter(priorityColumn + 1)}2="P1"`)
+      .setBackground(SHEET_HIGHLIGHT_COLORS.p1)
+      .setRanges([dataRange])
+      .build());
+  }
+  sheet.setConditionalFormatRules(rules);
 }
 
 /**
- * Clears a Google Doc and writes a grouped, formatted list of tasks.
- * @param {Array} tasks - An array of task objects from Todoist.
- * @param {Array} projects - An array of project objects from Todoist.
+ * Builds the tables of the "Summary" tab: task counts per project and per due day from the
+ * snapshot statistics (the same as the JSON export's). Team snapshots also list each
+ * person's overdue/today/upcoming counts, and every table starts with a member column.
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {Array<{labelColumns: number, rows: Array<Array>}>} Tables, each with a header row;
+ *     the first `labelColumns` columns are labels, the others counts
  */
-function writeTasksToDoc(tasks, projects) {
-  const doc = DocumentApp.openById(getDocId());
-  const body = doc.getBody();
-  body.setText('');
-  
-  const title = 'Todoist Tasks for ' + new Date().toLocaleDateString();
-  body.appendParagraph(title).setHeading(DocumentApp.ParagraphHeading.HEADING1);
-
-  // Add metadata header
-  const metadata = [];
-  metadata.push(`Export date: ${new Date().toLocaleString()}`);
-  metadata.push(`Timezone: ${getTimezone()}`);
-  metadata.push(`Total tasks: ${tasks.length}`);
-  metadata.push(`Total projects: ${projects.length}`);
-  
-  // Calculate task statistics
-  let tasksWithLabels = 0;
-  let tasksWithComments = 0;
-  let subtaskCount = 0;
-  tasks.forEach(task => {
-    if (task.labels && task.labels.length > 0) tasksWithLabels++;
-    if (task.comment_count && task.comment_count > 0) tasksWithComments++;
-    if (task.subtasks && task.subtasks.length > 0) subtaskCount += task.subtasks.length;
-  });
-  
-  if (tasksWithLabels > 0) metadata.push(`Tasks with labels: ${tasksWithLabels}`);
-  if (tasksWithComments > 0) metadata.push(`Tasks with comments: ${tasksWithComments}`);
-  if (subtaskCount > 0) metadata.push(`Sub-tasks: ${subtaskCount}`);
-  
-  const metadataParagraph = body.appendParagraph(metadata.join(' • '));
-  metadataParagraph.setItalic(true);
-  body.appendParagraph(''); // Empty line
+function buildSummaryTables(model) {
+  const members = model.members
+    ? model.members.filter(member => member.model)
+    : [{ name: null, model: model }];
+  const withMember = (member, row) => member.name === null ? row : [member.name].concat(row);
+  const memberHeader = row => model.members ? ['Member'].concat(row) : row;
 
-  if (tasks.length === 0) {
-    body.appendParagraph('No tasks due today.');
-    return;
+  const tables = [];
+  if (model.members) {
+    tables.push({
+      labelColumns: 1,
+      rows: [['Member', 'Overdue', 'Today', 'Upcoming', 'Total tasks']].concat(members.map(member =>
+        [member.name, member.dueCounts.overdue, member.dueCounts.today, member.dueCounts.upcoming, member.model.statistics.total]))
+    });
   }
+  const countRows = key => [].concat(...members.map(member =>
+    Object.keys(member.model.statistics[key]).map(name => withMember(member, [name, member.model.statistics[key][name]]))));
+  tables.push({ labelColumns: memberHeader(['Project']).length, rows: [memberHeader(['Project', 'Tasks'])].concat(countRows('byProject')) });
+  tables.push({ labelColumns: memberHeader(['Due date']).length, rows: [memberHeader(['Due date', 'Tasks'])].concat(countRows('byDueDate')) });
+  return tables;
+}
 
-  const projectMap = new Map(projects.map(p => [p.id, p.name]));
-  
-  const tasksByProject = tasks.reduce((acc, task) => {
-    const projectId = task.project_id || 'inbox';
-    if (!acc[projectId]) {
-      acc[projectId] = [];
-    }
-    acc[projectId].push(task);
-    return acc;
-  }, {});
+/**
+ * Writes the "Summary" tab: the tables one below the other with an empty row between them,
+ * label columns as plain text and counts as numbers.
+ * @param {Sheet} sheet - The "Summary" tab
+ * @param {Array<{labelColumns: number, rows: Array<Array>}>} tables - Tables from buildSummaryTables()
+ */
+function writeSummarySheet(sheet, tables) {
+  const width = Math.max(...tables.map(table => table.rows[0].length));
+  const pad = row => row.concat(new Array(width - row.length).fill(''));
+  const values = [];
+  const headerRows = [];
+  tables.forEach((table, index) => {
+    if (index > 0) values.push(pad([])); // Empty row between tables
+    headerRows.push({ row: values.length + 1, table: table });
+    table.rows.forEach(row => values.push(pad(row)));
+  });
 
-  const sortedProjectIds = Object.keys(tasksByProject).sort((a, b) => {
-    if (a === 'inbox') return -1;
-    if (b === 'inbox') return 1;
-    return projectMap.get(a).localeCompare(projectMap.get(b));
+  resetSheet(sheet);
+  headerRows.forEach(header => {
+    sheet.getRange(header.row, 1, header.table.rows.length, header.table.labelColumns).setNumberFormat('@');
   });
+  sheet.getRange(1, 1, values.length, width).setValues(values);
+  headerRows.forEach(header => {
+    sheet.getRange(header.row, 1, 1, header.table.rows[0].length).setFontWeight('bold');
+  });
+}
 
-  for (const projectId of sortedProjectIds) {
-    const projectName = (projectId === 'inbox') ? 'Inbox' : projectMap.get(projectId);
-    body.appendParagraph(projectName).setHeading(DocumentApp.ParagraphHeading.HEADING2);
-    
-    const projectTasks = tasksByProject[projectId];
-    
-    for (const task of projectTasks) {
-      const listItem = body.appendListItem('');
-      // Use the dedicated formatting function for each task.
-      formatListItem(listItem, task);
-      
-      // Add sub-tasks if they exist
-      if (task.subtasks && task.subtasks.length > 0) {
-        for (const subTask of task.subtasks) {
-          const subListItem = body.appendListItem('');
-          formatListItem(subListItem, subTask, true); // true indicates it's a sub-task
-        }
-      }
-    }
+/**
+ * Converts a 1-based column number to its letters, e.g. 28 to "AB".
+ * @param {number} column - Column number
+ * @returns {string} Column letters
+ */
+function getSheetColumnLetter(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
   }
+  return letters;
 }
 
+// iCalendar PRIORITY by Todoist priority: 1 is high, 5 medium and 9 low; P4 has none
+const ICS_PRIORITIES = { P1: 1, P2: 5, P3: 9 };
+// Step used to look for the timezone's UTC offset changes; changes are always weeks apart
+const ICS_TIMEZONE_SCAN_STEP_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
- * Builds a plain-text representation of the tasks grouped by project.
+ * Builds an iCalendar file of the tasks grouped by project and section.
  * @param {Array} tasks
  * @param {Array} projects
+ * @param {Array=} sections
+ * @param {Array=} completedTasks
  * @returns {string}
  */
-function buildPlainTextForTasks(tasks, projects) {
-  // Add this debugging at the start
-  debugLog('=== TEXT EXPORT DEBUG ===');
-  debugLog('Tasks received: ' + (tasks ? tasks.length : 'null'));
-
-  if (tasks && tasks.length > 0) {
-    let subtaskCount = 0;
-    tasks.forEach((task, index) => {
-      if (task.subtasks && task.subtasks.length > 0) {
-        debugLog('Task ' + index + ' (' + task.content + ') has ' + task.subtasks.length + ' sub-tasks');
-        subtaskCount += task.subtasks.length;
-      }
-    });
-    debugLog('Total sub-tasks found: ' + subtaskCount);
-  }
-  
-  const lines = [];
-  const title = 'Todoist Tasks for ' + new Date().toLocaleDateString();
-  lines.push(title);
-  
-  // Add metadata header
-  const metadata = [];
-  metadata.push('Export date: ' + new Date().toLocaleString());
-  metadata.push('Timezone: ' + getTimezone());
-  metadata.push('Total tasks: ' + (tasks ? tasks.length : 0));
-  metadata.push('Total projects: ' + (projects ? projects.length : 0));
-  
-  // Calculate task statistics
-  if (tasks && tasks.length > 0) {
-    var tasksWithLabels = 0;
-    var tasksWithComments = 0;
-    var subtaskCount = 0;
-    tasks.forEach(function(task) {
-      if (task.labels && task.labels.length > 0) tasksWithLabels++;
-      if (task.comment_count && task.comment_count > 0) tasksWithComments++;
-      if (task.subtasks && task.subtasks.length > 0) subtaskCount += task.subtasks.length;
+function buildIcsForTasks(tasks, projects, sections, completedTasks) {
+  return renderSnapshotIcs(buildSnapshotModel({ tasks: tasks, projects: projects, sections: sections, completedTasks: completedTasks }));
+}
+
+/**
+ * Renders a snapshot model (see buildExportModel()) as an iCalendar file (RFC 5545) with
+ * a VTODO per task and sub-task, or a VEVENT per task with a due date when ICS_COMPONENT
+ * is "VEVENT". Timed entries use the configured TIMEZONE, described by a VTIMEZONE.
+ * @param {Object} model - Snapshot model, or team snapshot model
+ * @returns {string} The calendar, with CRLF line endings and folded lines
+ */
+function renderSnapshotIcs(model) {
+  var context = {
+    component: getIcsComponent(),
+    timezone: getTimezone(),
+    stamp: Utilities.formatDate(new Date(), 'UTC', "yyyyMMdd'T'HHmmss'Z'"),
+    instants: [],
+    uids: {}
+  };
+
+  var entries = [];
+  var snapshots = model.members
+    ? model.members.filter(function(member) { return member.model; }).map(function(member) { return { name: member.name, model: member.model }; })
+    : [{ name: null, model: model }];
+  snapshots.forEach(function(snapshot) {
+    var addItems = function(items, projectName, parentUid) {
+      items.forEach(function(item) {
+        var uid = getIcsUid(item.id);
+        // Tasks of shared projects can be in several team members' snapshots
+        if (!context.uids[uid]) {
+          context.uids[uid] = true;
+          entries = entries.concat(buildIcsEntry(item, projectName, parentUid, snapshot.name, context));
+        }
+        addItems(item.children, projectName, uid);
+      });
+    };
+    snapshot.model.groups.forEach(function(group) {
+      addItems(group.items, group.projectName, null);
+      group.sections.forEach(function(section) {
+        addItems(section.items, group.projectName, null);
+      });
     });
-    
-    if (tasksWithLabels > 0) metadata.push('Tasks with labels: ' + tasksWithLabels);
-    if (tasksWithComments > 0) metadata.push('Tasks with comments: ' + tasksWithComments);
-    if (subtaskCount > 0) metadata.push('Sub-tasks: ' + subtaskCount);
-  }
-  
-  lines.push(metadata.join(' • '));
-  lines.push('');
 
-  if (!tasks || tasks.length === 0) {
-    lines.push('No tasks due today.');
-    return lines.join('\n');
+    if (context.component === 'VTODO') {
+      snapshot.model.completed.forEach(function(group) {
+        group.days.forEach(function(day) {
+          day.tasks.forEach(function(task) {
+            var uid = getIcsUid(task.id);
+            if (context.uids[uid]) return;
+            context.uids[uid] = true;
+            entries = entries.concat(buildCompletedIcsEntry(task, group.projectName, context));
+          });
+        });
+      });
+    }
+  });
+
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Todoist Snapshot//Todoist Snapshot 1.0.0//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:' + escapeIcsText(model.members ? 'Team Standup' : 'Todoist Tasks'),
+    'X-WR-TIMEZONE:' + context.timezone
+  ];
+  if (context.instants.length > 0) {
+    lines = lines.concat(buildIcsTimezone(context.timezone, context.instants));
   }
+  lines = lines.concat(entries);
+  lines.push('END:VCALENDAR');
 
-  const projectMap = new Map(projects.map(function(p) { return [p.id, p.name]; }));
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
 
-  const tasksByProject = tasks.reduce(function(acc, task) {
-    const projectId = task.project_id || 'inbox';
-    if (!acc[projectId]) acc[projectId] = [];
-    acc[projectId].push(task);
-    return acc;
-  }, {});
+/**
+ * Builds the VTODO or VEVENT of a snapshot item. VEVENTs need a date, so undated tasks
+ * have none.
+ * @param {Object} item - Snapshot item from buildSnapshotItem()
+ * @param {string} projectName - Breadcrumb title of the item's project
+ * @param {?string} parentUid - UID of the parent task, for sub-tasks
+ * @param {?string} memberName - Team member the task belongs to, in team mode
+ * @param {Object} context - Calendar being built (component, timezone, stamp, instants)
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildIcsEntry(item, projectName, parentUid, memberName, context) {
+  var task = item.task;
+  var dateLines = buildIcsDateLines(task, context);
+  if (context.component === 'VEVENT' && dateLines.length === 0) return [];
 
-  const sortedProjectIds = Object.keys(tasksByProject).sort(function(a, b) {
-    if (a === 'inbox') return -1;
-    if (b === 'inbox') return 1;
-    return projectMap.get(a).localeCompare(projectMap.get(b));
-  });
+  var lines = ['BEGIN:' + context.component, 'UID:' + getIcsUid(item.id), 'DTSTAMP:' + context.stamp];
+  lines = lines.concat(dateLines);
+  lines.push('SUMMARY:' + escapeIcsText(item.content));
+  if (item.description) lines.push('DESCRIPTION:' + escapeIcsText(item.description));
+  if (ICS_PRIORITIES[item.priority]) lines.push('PRIORITY:' + ICS_PRIORITIES[item.priority]);
 
-  for (var i = 0; i < sortedProjectIds.length; i++) {
-    var projectId = sortedProjectIds[i];
-    var projectName = (projectId === 'inbox') ? 'Inbox' : projectMap.get(projectId);
-    lines.push(projectName + ':');
+  var categories = (memberName ? [memberName] : []).concat(item.labels);
+  if (categories.length > 0) lines.push('CATEGORIES:' + categories.map(escapeIcsText).join(','));
+  lines.push('X-TODOIST-PROJECT:' + escapeIcsText(projectName));
+  if (parentUid) lines.push('RELATED-TO:' + parentUid);
+  if (item.url) lines.push('URL:' + item.url);
+  if (context.component === 'VTODO') lines.push('STATUS:NEEDS-ACTION');
+  lines.push('END:' + context.component);
+  return lines;
+}
 
-    var projectTasks = tasksByProject[projectId];
-    for (var j = 0; j < projectTasks.length; j++) {
-      var task = projectTasks[j];
+/**
+ * Builds the VTODO of a recently completed task.
+ * @param {Object} task - Completed task from Todoist
+ * @param {string} projectName - Breadcrumb title of the task's project
+ * @param {Object} context - Calendar being built
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildCompletedIcsEntry(task, projectName, context) {
+  var lines = ['BEGIN:VTODO', 'UID:' + getIcsUid(task.id), 'DTSTAMP:' + context.stamp];
+  lines.push('SUMMARY:' + escapeIcsText(task.content || ''));
+  lines.push('X-TODOIST-PROJECT:' + escapeIcsText(projectName));
+  lines.push('STATUS:COMPLETED');
+  if (task.completed_at) {
+    lines.push('COMPLETED:' + Utilities.formatDate(new Date(task.completed_at), 'UTC', "yyyyMMdd'T'HHmmss'Z'"));
+  }
+  lines.push('END:VTODO');
+  return lines;
+}
 
-      var priorityPrefix = '';
-      if (task.priority === 4) priorityPrefix = '(P1) ';
-      if (task.priority === 3) priorityPrefix = '(P2) ';
-      if (task.priority === 2) priorityPrefix = '(P3) ';
+/**
+ * Builds the DTSTART, DUE or DURATION, and RDATE lines of a task: all-day dates as
+ * VALUE=DATE, date-times as local times in the configured timezone. VTODOs are due at the
+ * end of their Todoist duration, and all-day ones without a duration at the end of their
+ * day; VEVENTs keep the duration (RFC 5545 doesn't allow both DUE and DURATION, nor a DUE
+ * equal to DTSTART). A timed to-do without a duration is only given its due time as DUE,
+ * or as DTSTART when it has projected occurrences, since RDATEs repeat the DTSTART.
+ * Projected occurrences of recurring tasks (see projectRecurringTasks()) become RDATEs at
+ * the same time of day.
+ * @param {Object} task - The task object from Todoist
+ * @param {Object} context - Calendar being built; timed instants are added to `instants`
+ * @returns {Array<string>} Content lines, empty for tasks without a due date
+ */
+function buildIcsDateLines(task, context) {
+  var due = task.due;
+  if (!due || !(due.date || due.datetime)) return [];
 
-      var content = task.content || '';
-      var description = task.description || '';
+  var lines = [];
+  var duration = task.duration && task.duration.amount > 0 ? task.duration : null;
+  var projectedDates = (task.projected_dates || []).map(function(date) { return date.replace(/-/g, ''); });
 
-      var dueDateString = '';
-      if (task.due) {
-        if (task.due.datetime) {
-          var dateTime = new Date(task.due.datetime);
-          dueDateString = ' (Due: ' + Utilities.formatDate(dateTime, getTimezone(), "MMM d, yyyy 'at' h:mm a") + ')';
-        } else if (task.due.date) {
-          var dateParts = task.due.date.split('-');
-          var dateOnly = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]);
-          dueDateString = ' (Due: ' + Utilities.formatDate(dateOnly, 'UTC', 'MMM d, yyyy') + ')';
-        }
-      }
+  if (!due.datetime) {
+    var date = due.date.slice(0, 10).replace(/-/g, '');
+    // Date values can only last whole days
+    var days = duration && duration.unit === 'day' ? duration : null;
+    lines.push('DTSTART;VALUE=DATE:' + date);
+    if (context.component === 'VTODO') {
+      lines.push('DUE;VALUE=DATE:' + addIcsDuration(date, days || { amount: 1, unit: 'day' }, context.timezone));
+    } else if (days) {
+      lines.push('DURATION:P' + days.amount + 'D');
+    }
+    if (projectedDates.length > 0) lines.push('RDATE;VALUE=DATE:' + projectedDates.join(','));
+    return lines;
+  }
 
-      var labelsSuffix = '';
-      if (task.labels && task.labels.length > 0) {
-        labelsSuffix = ' [' + task.labels.join(', ') + ']';
-      }
+  // Floating times are wall-clock times; fixed ones are converted to the configured timezone
+  var localStart = isFloatingDue(due)
+    ? Utilities.formatDate(new Date(due.datetime + 'Z'), 'UTC', "yyyyMMdd'T'HHmmss")
+    : Utilities.formatDate(new Date(due.datetime), context.timezone, "yyyyMMdd'T'HHmmss");
+  var timeOfDay = localStart.slice(8);
+  var localTimes = [localStart].concat(projectedDates.map(function(date) { return date + timeOfDay; }));
+  localTimes.forEach(function(localTime) {
+    context.instants.push(getIcsInstant(localTime, context.timezone));
+  });
 
-      var metadataSuffix = '';
-      var metadataParts = [];
-      if (task.comment_count && task.comment_count > 0) {
-        metadataParts.push(task.comment_count + ' comments');
-      }
-      if (task.created_at) {
-        var createdDate = new Date(task.created_at);
-        metadataParts.push('created ' + Utilities.formatDate(createdDate, getTimezone(), 'MMM d'));
-      }
-      if (metadataParts.length > 0) {
-        metadataSuffix = ' (' + metadataParts.join(', ') + ')';
-      }
+  var isTodo = context.component === 'VTODO';
+  var dueOnly = isTodo && !duration && projectedDates.length === 0;
+  lines.push((dueOnly ? 'DUE' : 'DTSTART') + ';TZID=' + context.timezone + ':' + localStart);
+  if (isTodo && duration) {
+    var localDue = addIcsDuration(localStart, duration, context.timezone);
+    context.instants.push(getIcsInstant(localDue, context.timezone));
+    lines.push('DUE;TZID=' + context.timezone + ':' + localDue);
+  } else if (!isTodo && duration) {
+    lines.push('DURATION:' + (duration.unit === 'day' ? 'P' + duration.amount + 'D' : 'PT' + duration.amount + 'M'));
+  }
+  if (projectedDates.length > 0) {
+    lines.push('RDATE;TZID=' + context.timezone + ':' + localTimes.slice(1).join(','));
+  }
+  return lines;
+}
 
-      var line = '- ' + priorityPrefix + content + dueDateString + labelsSuffix + metadataSuffix;
-      lines.push(line);
-      
-      // Add description as blockquote if it exists
-      if (description) {
-        // Split description into lines and format each as a blockquote
-        var descriptionLines = description.split('\n');
-        for (var d = 0; d < descriptionLines.length; d++) {
-          var descLine = descriptionLines[d].trim();
-          if (descLine) {
-            lines.push('  > ' + descLine);
-          }
-        }
-      }
-      
-      // Add sub-tasks if they exist
-      if (task.subtasks && task.subtasks.length > 0) {
-        for (var k = 0; k < task.subtasks.length; k++) {
-          var subTask = task.subtasks[k];
-          
-          var subPriorityPrefix = '';
-          if (subTask.priority === 4) subPriorityPrefix = '(P1) ';
-          if (subTask.priority === 3) subPriorityPrefix = '(P2) ';
-          if (subTask.priority === 2) subPriorityPrefix = '(P3) ';
-          
-          var subContent = subTask.content || '';
-          var subDescription = subTask.description || '';
-          
-          var subDueDateString = '';
-          if (subTask.due) {
-            if (subTask.due.datetime) {
-              var subDateTime = new Date(subTask.due.datetime);
-              subDueDateString = ' (Due: ' + Utilities.formatDate(subDateTime, getTimezone(), "MMM d, yyyy 'at' h:mm a") + ')';
-            } else if (subTask.due.date) {
-              var subDateParts = subTask.due.date.split('-');
-              var subDateOnly = new Date(subDateParts[0], subDateParts[1] - 1, subDateParts[2]);
-              subDueDateString = ' (Due: ' + Utilities.formatDate(subDateOnly, 'UTC', 'MMM d, yyyy') + ')';
-            }
-          }
-          
-          var subLabelsSuffix = '';
-          if (subTask.labels && subTask.labels.length > 0) {
-            subLabelsSuffix = ' [' + subTask.labels.join(', ') + ']';
-          }
-          
-          var subMetadataSuffix = '';
-          var subMetadataParts = [];
-          if (subTask.comment_count && subTask.comment_count > 0) {
-            subMetadataParts.push(subTask.comment_count + ' comments');
-          }
-          if (subTask.created_at) {
-            var subCreatedDate = new Date(subTask.created_at);
-            subMetadataParts.push('created ' + Utilities.formatDate(subCreatedDate, getTimezone(), 'MMM d'));
-          }
-          if (subMetadataParts.length > 0) {
-            subMetadataSuffix = ' (' + subMetadataParts.join(', ') + ')';
-          }
-          
-          var subLine = '  - ' + subPriorityPrefix + subContent + subDueDateString + subLabelsSuffix + subMetadataSuffix;
-          lines.push(subLine);
-          
-          // Add sub-task description as blockquote if it exists
-          if (subDescription) {
-            // Split description into lines and format each as a blockquote
-            var subDescriptionLines = subDescription.split('\n');
-            for (var sd = 0; sd < subDescriptionLines.length; sd++) {
-              var subDescLine = subDescriptionLines[sd].trim();
-              if (subDescLine) {
-                lines.push('    > ' + subDescLine);
-              }
-            }
-          }
-        }
+/**
+ * Builds a VTIMEZONE for the configured timezone covering the years of the given instants,
+ * starting a year before the first one so every entry falls after the first observance.
+ * A zone without daylight saving time gets a single STANDARD observance. Otherwise every
+ * offset change becomes a STANDARD or DAYLIGHT observance (DAYLIGHT for the change to the
+ * higher offset) with a yearly RRULE such as "second Sunday in March"; when the changes
+ * don't follow the same rule every year, each one gets its own observance instead.
+ * @param {string} timezone - IANA timezone
+ * @param {Array<Date>} instants - Instants of the calendar's timed entries
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildIcsTimezone(timezone, instants) {
+  var times = instants.map(function(instant) { return instant.getTime(); });
+  var firstYear = new Date(Math.min.apply(null, times)).getUTCFullYear() - 1;
+  var lastYear = new Date(Math.max.apply(null, times)).getUTCFullYear();
+  var years = [];
+  for (var year = firstYear; year <= lastYear; year++) {
+    years.push(findIcsTransitions(timezone, year));
+  }
+
+  var ruleKey = function(transitions) {
+    return transitions.map(function(transition) {
+      return transition.rule + transition.onset.slice(8) + transition.offsetFrom + transition.offsetTo;
+    }).join('|');
+  };
+  var lines = ['BEGIN:VTIMEZONE', 'TZID:' + timezone];
+  var transitions = [].concat.apply([], years);
+  if (transitions.length === 0) {
+    var offset = Utilities.formatDate(new Date(Date.UTC(firstYear, 0, 1)), timezone, 'Z');
+    lines = lines.concat(buildIcsObservance('STANDARD', '19700101T000000', offset, offset, null));
+  } else if (years.every(function(yearTransitions) { return ruleKey(yearTransitions) === ruleKey(years[0]); })) {
+    years[0].forEach(function(transition) {
+      lines = lines.concat(buildIcsObservance(transition.type, transition.onset, transition.offsetFrom, transition.offsetTo,
+        'FREQ=YEARLY;' + transition.rule));
+    });
+  } else {
+    transitions.forEach(function(transition) {
+      lines = lines.concat(buildIcsObservance(transition.type, transition.onset, transition.offsetFrom, transition.offsetTo, null));
+    });
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Builds a STANDARD or DAYLIGHT observance of a VTIMEZONE.
+ * @param {string} type - "STANDARD" or "DAYLIGHT"
+ * @param {string} onset - Local time the observance starts, in the offset before it
+ * @param {string} offsetFrom - UTC offset before the onset, as +hhmm or -hhmm
+ * @param {string} offsetTo - UTC offset from the onset
+ * @param {?string} rule - RRULE value, for observances that repeat every year
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildIcsObservance(type, onset, offsetFrom, offsetTo, rule) {
+  var lines = ['BEGIN:' + type, 'DTSTART:' + onset];
+  if (rule) lines.push('RRULE:' + rule);
+  lines.push('TZOFFSETFROM:' + offsetFrom);
+  lines.push('TZOFFSETTO:' + offsetTo);
+  lines.push('END:' + type);
+  return lines;
+}
+
+/**
+ * Finds the UTC offset changes of a timezone in a calendar year, to the minute.
+ * @param {string} timezone - IANA timezone
+ * @param {number} year - Calendar year
+ * @returns {Array<{type: string, onset: string, offsetFrom: string, offsetTo: string, rule: string}>}
+ *     Changes in order; `onset` is the local time (yyyyMMddTHHmmss) in the offset before
+ *     the change and `rule` its BYMONTH and BYDAY RRULE parts
+ */
+function findIcsTransitions(timezone, year) {
+  var offsetAt = function(time) { return Utilities.formatDate(new Date(time), timezone, 'Z'); };
+  var end = Date.UTC(year + 1, 0, 1);
+  var from = Date.UTC(year, 0, 1);
+  var fromOffset = offsetAt(from);
+  var transitions = [];
+  while (from < end) {
+    var to = Math.min(from + ICS_TIMEZONE_SCAN_STEP_MS, end);
+    var toOffset = offsetAt(to);
+    if (toOffset !== fromOffset) {
+      // Narrow the change down to the first minute with the new offset
+      var before = from;
+      var after = to;
+      while (after - before > 60000) {
+        var middle = before + Math.floor((after - before) / 120000) * 60000;
+        if (offsetAt(middle) === fromOffset) before = middle;
+        else after = middle;
       }
+      var onset = Utilities.formatDate(new Date(after + parseIcsOffset(fromOffset) * 60000), 'UTC', "yyyyMMdd'T'HHmmss");
+      transitions.push({ onset: onset, offsetFrom: fromOffset, offsetTo: toOffset, rule: getIcsYearlyRule(onset) });
     }
+    from = to;
+    fromOffset = toOffset;
+  }
 
-    lines.push('');
+  // A single change is a new standard offset rather than daylight saving time
+  transitions.forEach(function(transition) {
+    var isDaylight = transitions.length > 1 && parseIcsOffset(transition.offsetTo) > parseIcsOffset(transition.offsetFrom);
+    transition.type = isDaylight ? 'DAYLIGHT' : 'STANDARD';
+  });
+  return transitions;
+}
+
+/**
+ * Describes the day of a local time as yearly RRULE parts, e.g. "BYMONTH=3;BYDAY=2SU" for
+ * the second Sunday in March. Days in the last week of their month are "last", e.g. -1SU.
+ * @param {string} localTime - Local time as yyyyMMddTHHmmss
+ * @returns {string} BYMONTH and BYDAY RRULE parts
+ */
+function getIcsYearlyRule(localTime) {
+  var year = Number(localTime.slice(0, 4));
+  var month = Number(localTime.slice(4, 6));
+  var day = Number(localTime.slice(6, 8));
+  var weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  var daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  var week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return 'BYMONTH=' + month + ';BYDAY=' + week + weekday;
+}
+
+/**
+ * Adds a Todoist duration to a local date (yyyyMMdd) or date-time (yyyyMMddTHHmmss). Days
+ * move the calendar date and keep the time of day; minutes are counted in real time, so a
+ * daylight saving change in between is taken into account.
+ * @param {string} localTime - Local date or date-time
+ * @param {?{amount: number, unit: string}} duration - Todoist duration, if any
+ * @param {string} timezone - IANA timezone of the local time
+ * @returns {string} The local date or date-time at the end of the duration, in the same format
+ */
+function addIcsDuration(localTime, duration, timezone) {
+  if (!duration) return localTime;
+  if (duration.unit !== 'day') {
+    var end = new Date(getIcsInstant(localTime, timezone).getTime() + duration.amount * 60000);
+    return Utilities.formatDate(end, timezone, "yyyyMMdd'T'HHmmss");
   }
+  var parts = localTime.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?$/).slice(1).map(Number);
+  var wallClock = Date.UTC(parts[0], parts[1] - 1, parts[2] + duration.amount, parts[3] || 0, parts[4] || 0, parts[5] || 0);
+  return Utilities.formatDate(new Date(wallClock), 'UTC', localTime.length > 8 ? "yyyyMMdd'T'HHmmss" : 'yyyyMMdd');
+}
 
-  return lines.join('\n');
+/**
+ * Converts a UTC offset such as "-0600" to minutes.
+ * @param {string} offset - Offset as +hhmm or -hhmm
+ * @returns {number} Minutes east of UTC
+ */
+function parseIcsOffset(offset) {
+  var sign = offset.charAt(0) === '-' ? -1 : 1;
+  return sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5)));
 }
 
 /**
- * Writes the tasks to a plain text file in Drive (overwrites file content).
- * @param {Array} tasks
- * @param {Array} projects
+ * Finds the instant of a local time in a timezone.
+ * @param {string} localTime - Local time as yyyyMMddTHHmmss
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} The instant
+ */
+function getIcsInstant(localTime, timezone) {
+  var parts = localTime.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/).slice(1).map(Number);
+  var wallClock = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+  // Guess with the offset at the wall-clock time read as UTC, then correct it once
+  var offset = parseIcsOffset(Utilities.formatDate(new Date(wallClock), timezone, 'Z'));
+  offset = parseIcsOffset(Utilities.formatDate(new Date(wallClock - offset * 60000), timezone, 'Z'));
+  return new Date(wallClock - offset * 60000);
+}
+
+/**
+ * Returns the calendar UID of a task; it only depends on the task ID, so calendar apps
+ * update entries instead of duplicating them.
+ * @param {string} taskId - Todoist task ID
+ * @returns {string} UID
+ */
+function getIcsUid(taskId) {
+  return 'todoist-task-' + taskId + '@todoist-snapshot';
+}
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets (UTF-8), continuing with a space,
+ * without splitting a character.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, with CRLF between the parts
+ */
+function foldIcsLine(line) {
+  var parts = [];
+  var current = '';
+  var currentOctets = 0;
+  Array.from(line).forEach(function(character) {
+    var codePoint = character.codePointAt(0);
+    var octets = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    // Continuation lines start with a space, which counts towards their 75 octets
+    var limit = parts.length === 0 ? 75 : 74;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += character;
+    currentOctets += octets;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Converts tasks with nested `subtasks` into copies with nested `children`,
+ * which is the shape used by the JSON export's task tree.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @returns {Array} Task copies with a `children` array at every level
+ */
+function buildJsonTaskTree(tasks) {
+  return (tasks || []).map(function(task) {
+    var node = {};
+    Object.keys(task).forEach(function(key) {
+      if (key !== 'subtasks') node[key] = task[key];
+    });
+    node.children = buildJsonTaskTree(task.subtasks);
+    return node;
+  });
+}
+
+/**
+ * Counts the comments attached by attachTaskComments(), including those of sub-tasks.
+ * @param {Array} tasks - Tasks with optional nested `subtasks` arrays
+ * @returns {number} Number of exported comments
  */
-function writeTasksToTextFile(tasks, projects) {
-  var fileId = getTextFileId();
-  var file = DriveApp.getFileById(fileId);
-  var text = buildPlainTextForTasks(tasks, projects);
-  file.setContent(text);
+function countIncludedComments(tasks) {
+  return (tasks || []).reduce(function(total, task) {
+    return total + (task.comments ? task.comments.length : 0) + countIncludedComments(task.subtasks);
+  }, 0);
 }
 
 /**
  * Writes the raw Todoist JSON data to a file in Drive (overwrites file content).
  * @param {Array} tasks - Raw tasks array from Todoist API
  * @param {Array} projects - Raw projects array from Todoist API
+ * @param {Array=} taskTree - Tasks with nested sub-tasks (defaults to tasks)
+ * @param {Array=} sections - Raw sections array from Todoist API
+ * @param {Array=} completedTasks - Recently completed tasks from Todoist API
  */
-function writeTasksToJsonFile(tasks, projects) {
-  var fileId = getJsonFileId();
-  var file = DriveApp.getFileById(fileId);
-  
-  // Calculate additional statistics
+function writeTasksToJsonFile(tasks, projects, taskTree, sections, completedTasks) {
+  var exporter = getExporterById('json');
+  exporter.write(exporter.render(buildSnapshotModel({
+    rawTasks: tasks, projects: projects, tasks: taskTree, sections: sections, completedTasks: completedTasks
+  })));
+}
+
+/**
+ * Writes the team snapshot to the JSON file in Drive (overwrites file content).
+ * @param {Array} members - Team members from getTeamTodoistData()
+ */
+function writeTeamToJsonFile(members) {
+  var exporter = getExporterById('json');
+  exporter.write(exporter.render(buildTeamSnapshotModel(members)));
+}
+
+/**
+ * Builds the JSON export of the team snapshot. Each member has the `statistics` and `data`
+ * of a single-person export plus their `dueCounts`.
+ * @param {Object} model - Team snapshot model from buildTeamSnapshotModel()
+ * @returns {Object} The export object
+ */
+function buildTeamJsonExport(model) {
+  var totals = { overdue: 0, today: 0, upcoming: 0 };
+  var memberExports = model.members.map(function(member) {
+    if (!member.model) {
+      return { name: member.name, error: member.error, dueCounts: null, statistics: null, data: null };
+    }
+    var memberExport = buildJsonExport(member.model);
+    Object.keys(totals).forEach(function(key) { totals[key] += member.dueCounts[key]; });
+    return {
+      name: member.name,
+      error: null,
+      dueCounts: member.dueCounts,
+      statistics: memberExport.statistics,
+      data: memberExport.data
+    };
+  });
+
+  var jsonData = {
+    exportMetadata: {
+      exportDate: new Date().toISOString(),
+      timezone: getTimezone(),
+      apiVersion: getTodoistApiVersion(),
+      scriptVersion: '1.0.0',
+      team: true
+    },
+    statistics: {
+      members: model.members.length,
+      dueCounts: totals
+    },
+    members: memberExports
+  };
+
+  return jsonData;
+}
+
+/**
+ * Builds the JSON export of one person's tasks: export metadata, statistics and the data.
+ * @param {Object} model - Snapshot model from buildSnapshotModel()
+ * @returns {Object} The export object
+ */
+function buildJsonExport(model) {
+  var data = model.data;
+  // Groups refer to the tasks of `taskTree` by ID rather than repeating them
+  var itemIds = function(items) {
+    return items.map(function(item) { return item.id; });
+  };
+  var taskGroups = model.groups.map(function(group) {
+    return {
+      projectId: group.projectId,
+      projectName: group.projectName,
+      projectPath: group.projectPath,
+      taskIds: itemIds(group.items),
+      sections: group.sections.map(function(section) {
+        return { id: section.id, name: section.name, order: section.order, taskIds: itemIds(section.items) };
+      })
+    };
+  });
+
+  // Create a structured JSON object with comprehensive metadata
+  var jsonData = {
+    exportMetadata: {
+      exportDate: new Date().toISOString(),
+      timezone: getTimezone(),
+      apiVersion: getTodoistApiVersion(),
+      scriptVersion: '1.0.0'
+    },
+    statistics: {
+      tasks: model.statistics,
+      projects: {
+        total: data.projects ? data.projects.length : 0
+      },
+      sections: {
+        total: data.sections ? data.sections.length : 0
+      },
+      completedTasks: {
+        total: data.completedTasks ? data.completedTasks.length : 0,
+        lookbackDays: getCompletedLookbackDays()
+      }
+    },
+    data: {
+      tasks: data.rawTasks,
+      taskTree: buildJsonTaskTree(data.tasks || data.rawTasks),
+      taskGroups: taskGroups,
+      projects: data.projects,
+      sections: data.sections || [],
+      completedTasks: data.completedTasks || []
+    }
+  };
+
+  return jsonData;
+}
+
+/**
+ * Calculates the task statistics of a snapshot.
+ * @param {Array} tasks - Flat list of tasks from Todoist, sub-tasks included
+ * @param {Array} taskTree - Tasks with nested sub-tasks
+ * @param {Array=} projects - Project objects from Todoist, to count tasks per project
+ * @returns {Object} Counts of due dates, labels, comments, priorities, assignees, deadlines,
+ *     durations and recurrence from `tasks`; counts per project (by breadcrumb title, in
+ *     project order) and per due day (yyyy-MM-dd, earliest first, with projected occurrences
+ *     of recurring tasks) from `taskTree`, so they match the rows of the task table
+ */
+function buildTaskStatistics(tasks, taskTree, projects) {
+  var recurrenceCounts = countRecurringTasks(tasks);
   var taskStats = {
     total: tasks ? tasks.length : 0,
     withDueDates: 0,
     withLabels: 0,
     withComments: 0,
     byPriority: { p1: 0, p2: 0, p3: 0, p4: 0 },
-    subtaskCount: 0
+    subtaskCount: countSubtasks(taskTree),
+    commentsIncluded: countIncludedComments(taskTree),
+    byAssignee: {},
+    withDeadlines: 0,
+    deadlinesPassed: 0,
+    withDurations: 0,
+    totalDurationMinutes: 0,
+    totalDurationDays: 0,
+    recurring: recurrenceCounts.recurring,
+    nonRecurring: recurrenceCounts.oneOff,
+    byProject: {},
+    byDueDate: {}
+  };
+  countTasksByAssignee(taskTree).forEach(function(entry) {
+    taskStats.byAssignee[entry.name] = entry.count;
+  });
+  // Per-project and per-day counts cover the same tasks as the Tasks tab and CSV rows:
+  // every task in the tree, with sub-tasks counted under their parent's project
+  groupTasksByProjectAndSection(taskTree || tasks || [], projects || []).forEach(function(group) {
+    taskStats.byProject[group.projectName] = group.tasks.length + countSubtasks(group.tasks);
+  });
+  // Projected occurrences of recurring tasks count on each day they come up; due times
+  // count on their day in the configured timezone, as the Doc and Sheet show them
+  var timezone = getTimezone();
+  var dueDates = [];
+  var collectDueDates = function(list) {
+    (list || []).forEach(function(task) {
+      var dueDate = getDueCalendarDate(task.due, timezone);
+      if (dueDate) dueDates.push(dueDate);
+      dueDates = dueDates.concat(task.projected_dates || []);
+      collectDueDates(task.subtasks);
+    });
   };
+  collectDueDates(taskTree || tasks);
+  dueDates
+    .sort()
+    .forEach(function(date) { taskStats.byDueDate[date] = (taskStats.byDueDate[date] || 0) + 1; });
   
   if (tasks) {
+    var today = getCalendarDate(new Date(), timezone);
     tasks.forEach(function(task) {
       if (task.due) taskStats.withDueDates++;
       if (task.labels && task.labels.length > 0) taskStats.withLabels++;
       if (task.comment_count && task.comment_count > 0) taskStats.withComments++;
+      if (task.deadline && task.deadline.date) {
+        taskStats.withDeadlines++;
+        if (task.deadline.date.slice(0, 10) < today) taskStats.deadlinesPassed++;
+      }
+      if (task.duration && task.duration.amount > 0) {
+        taskStats.withDurations++;
+        if (task.duration.unit === 'day') taskStats.totalDurationDays += task.duration.amount;
+        else taskStats.totalDurationMinutes += task.duration.amount;
+      }
       
       // Count by priority (API uses 1-4, where 4 is highest)
       if (task.priority === 4) taskStats.byPriority.p1++;
@@ -667,68 +4300,42 @@ function writeTasksToJsonFile(tasks, projects) {
     });
   }
 
-  // Create a structured JSON object with comprehensive metadata
-  var jsonData = {
-    exportMetadata: {
-      exportDate: new Date().toISOString(),
-      timezone: getTimezone(),
-      apiVersion: 'v2',
-      scriptVersion: '1.0.0'
-    },
-    statistics: {
-      tasks: taskStats,
-      projects: {
-        total: projects ? projects.length : 0
-      }
-    },
-    data: {
-      tasks: tasks,
-      projects: projects
-    }
-  };
-  
-  var jsonString = JSON.stringify(jsonData, null, 2); // Pretty-printed with 2-space indentation
-  file.setContent(jsonString);
+  return taskStats;
 }
 
+// Text color for deadlines in the Google Doc
+const DEADLINE_COLOR = '#d93025';
+
 /**
  * Formats a single list item with bold task content, description, priority, labels, and Markdown.
  * @param {ListItem} listItem - The Google Docs ListItem element to format.
  * @param {Object} task - The task object from Todoist.
- * @param {boolean} isSubTask - Whether this is a sub-task (for indentation).
+ * @param {number|boolean} nestingLevel - Sub-task depth for indentation (0 for top-level; true is treated as 1).
+ */
+function formatListItem(listItem, task, nestingLevel = 0) {
+  const depth = (nestingLevel === true) ? 1 : (Number(nestingLevel) || 0);
+  formatDocListItem(listItem, buildSnapshotItem(task, depth));
+}
+
+/**
+ * Formats the list item of a snapshot item: priority, bold content, description, due date,
+ * recurrence, deadline in red, assignee, labels and comment/creation details, then Markdown.
+ * @param {ListItem} listItem - The Google Docs ListItem element to format.
+ * @param {Object} item - Snapshot item from buildSnapshotItem().
  */
-function formatListItem(listItem, task, isSubTask = false) {
+function formatDocListItem(listItem, item) {
+  const depth = item.depth;
+
   // --- 1. Construct all the text pieces ---
-  let priorityPrefix = '';
-  if (task.priority === 4) priorityPrefix = '(P1) ';
-  if (task.priority === 3) priorityPrefix = '(P2) ';
-  if (task.priority === 2) priorityPrefix = '(P3) ';
-  
-  const content = task.content;
-  const description = task.description ? ' — ' + task.description : '';
-
-  // --- NEW: Format the due date/deadline ---
-  let dueDateString = '';
-  if (task.due) {
-    // Case 1: Task has a specific time (datetime)
-    if (task.due.datetime) {
-      const date = new Date(task.due.datetime);
-      // Format the date for the user's configured timezone
-      dueDateString = ` (Due: ${Utilities.formatDate(date, getTimezone(), "MMM d, yyyy 'at' h:mm a")})`;
-    } 
-    // Case 2: Task is all-day (date only)
-    else {
-      // Parse YYYY-MM-DD manually to avoid timezone conversion issues on all-day tasks
-      const dateParts = task.due.date.split('-');
-      const date = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]);
-      dueDateString = ` (Due: ${Utilities.formatDate(date, "UTC", "MMM d, yyyy")})`;
-    }
-  }
-  
-  let labelsSuffix = '';
-  if (task.labels && task.labels.length > 0) {
-    labelsSuffix = ` [${task.labels.join(', ')}]`;
-  }
+  const priorityPrefix = item.priorityPrefix;
+  const content = item.content;
+  const description = item.description ? ' — ' + item.description : '';
+  const dueDateString = item.dueText;
+  const recurrenceString = item.recurrenceText;
+  const deadlineString = item.deadlineText;
+  const assigneeSuffix = item.assigneeText;
+  const labelsSuffix = item.labelsText;
+  const detailsSuffix = item.detailsText;
   
   // --- 2. Append pieces and apply base formatting ---
   if (priorityPrefix) {
@@ -736,8 +4343,9 @@ function formatListItem(listItem, task, isSubTask = false) {
   }
   
   // Add indentation for sub-tasks
-  if (isSubTask) {
-    listItem.setIndentStart(36); // 36 points = 0.5 inches indentation
+  if (depth > 0) {
+    listItem.setNestingLevel(depth);
+    listItem.setIndentStart(36 * depth); // 36 points = 0.5 inches per level
   }
   
   const contentStart = listItem.getText().length;
@@ -754,10 +4362,29 @@ function formatListItem(listItem, task, isSubTask = false) {
   if (dueDateString) {
     listItem.appendText(dueDateString);
   }
+
+  if (recurrenceString) {
+    listItem.appendText(recurrenceString);
+  }
+
+  // Deadlines are shown in red so they stand out from due dates
+  let deadlineStart = -1;
+  if (deadlineString) {
+    deadlineStart = listItem.getText().length;
+    listItem.appendText(deadlineString);
+  }
+
+  if (assigneeSuffix) {
+    listItem.appendText(assigneeSuffix);
+  }
   
   if (labelsSuffix) {
     listItem.appendText(labelsSuffix);
   }
+
+  if (detailsSuffix) {
+    listItem.appendText(detailsSuffix);
+  }
   
   const textElement = listItem.editAsText();
   
@@ -765,6 +4392,9 @@ function formatListItem(listItem, task, isSubTask = false) {
   if (contentEnd >= contentStart) {
     textElement.setBold(contentStart, contentEnd, true);
   }
+  if (deadlineStart >= 0) {
+    textElement.setForegroundColor(deadlineStart + 1, deadlineStart + deadlineString.length - 1, DEADLINE_COLOR);
+  }
 
   // --- 3. Apply Markdown formatting over the whole list item ---
   const fullText = textElement.getText();